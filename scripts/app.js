@@ -1,9 +1,14 @@
-// IndexedDB Helper for storing directory handles
-class HandleDB {
+// IndexedDB Helper for everything the app persists: directory handles, cached
+// media durations, subtitle cues, storyboards and cover thumbnails, the course library,
+// progress, sessions and preferences
+class CourseDB {
     constructor() {
         this.dbName = 'CourseViewerDB';
-        this.dbVersion = 1;
+        this.dbVersion = 11;
         this.db = null;
+        this.pendingWrites = new Map(); // Batched writes, flushed in a single transaction
+        this.flushTimer = null;
+        this.flushDelay = 1000;
     }
 
     async init() {
@@ -18,55 +23,316 @@ class HandleDB {
 
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
-                if (!db.objectStoreNames.contains('handles')) {
+                const oldVersion = event.oldVersion;
+
+                // v1: directory handles
+                if (oldVersion < 1) {
                     db.createObjectStore('handles', { keyPath: 'id' });
                 }
+                // v2: probed media durations keyed by path, size and lastModified
+                if (oldVersion < 2) {
+                    db.createObjectStore('durations', { keyPath: 'key' });
+                }
+                // v3: state that used to live in localStorage
+                if (oldVersion < 3) {
+                    db.createObjectStore('library', { keyPath: 'id' });
+                    db.createObjectStore('progress', { keyPath: 'courseId' });
+                    db.createObjectStore('sessions', { keyPath: 'courseId' });
+                    db.createObjectStore('videoProgress', { keyPath: 'courseId' });
+                    db.createObjectStore('preferences', { keyPath: 'key' });
+                }
+                // v4: timestamped lesson notes
+                if (oldVersion < 4) {
+                    const notes = db.createObjectStore('notes', { keyPath: 'id', autoIncrement: true });
+                    notes.createIndex('courseId', 'courseId');
+                }
+                // v5: labelled video bookmarks
+                if (oldVersion < 5) {
+                    const bookmarks = db.createObjectStore('bookmarks', { keyPath: 'id', autoIncrement: true });
+                    bookmarks.createIndex('courseId', 'courseId');
+                }
+                // v6: parsed subtitle cues for search, keyed by path, size and lastModified
+                if (oldVersion < 6) {
+                    db.createObjectStore('subtitleCues', { keyPath: 'key' });
+                }
+                // v7: watch session log for statistics
+                if (oldVersion < 7) {
+                    const watchSessions = db.createObjectStore('watchSessions', { keyPath: 'id', autoIncrement: true });
+                    watchSessions.createIndex('courseId', 'courseId');
+                }
+                // v8: course cover thumbnails
+                if (oldVersion < 8) {
+                    db.createObjectStore('thumbnails', { keyPath: 'courseId' });
+                }
+                // v9: timeline preview storyboards keyed by path, size and lastModified
+                if (oldVersion < 9) {
+                    db.createObjectStore('storyboards', { keyPath: 'key' });
+                }
+                // v10: named A-B loops of lessons
+                if (oldVersion < 10) {
+                    const loops = db.createObjectStore('loops', { keyPath: 'id', autoIncrement: true });
+                    loops.createIndex('courseId', 'courseId');
+                }
+                // v11: storyboards indexed by course so they go with it, older ones are dropped
+                if (oldVersion < 11) {
+                    const storyboards = event.target.transaction.objectStore('storyboards');
+                    storyboards.clear();
+                    storyboards.createIndex('courseId', 'courseId');
+                }
             };
         });
     }
 
-    async saveHandle(id, handle) {
+    async get(storeName, key) {
         if (!this.db) await this.init();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['handles'], 'readwrite');
-            const store = transaction.objectStore('handles');
-            const request = store.put({ id, handle });
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            const request = store.get(key);
 
-            request.onsuccess = () => resolve();
+            request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
     }
 
-    async getHandle(id) {
+    async getAll(storeName) {
         if (!this.db) await this.init();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['handles'], 'readonly');
-            const store = transaction.objectStore('handles');
-            const request = store.get(id);
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async put(storeName, value) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const request = store.put(value);
+
+            request.onsuccess = () => resolve(request.result); // The record key, useful for autoIncrement stores
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async getAllByIndex(storeName, indexName, value) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const index = transaction.objectStore(storeName).index(indexName);
+            const request = index.getAll(value);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Rewrite every record matching an index value, update() returns the new record or null to keep it
+    async updateAllByIndex(storeName, indexName, value, update) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const index = transaction.objectStore(storeName).index(indexName);
+            const request = index.openCursor(value);
 
             request.onsuccess = () => {
-                const result = request.result;
-                resolve(result ? result.handle : null);
+                const cursor = request.result;
+                if (cursor) {
+                    const updated = update(cursor.value);
+                    if (updated) cursor.update(updated);
+                    cursor.continue();
+                }
             };
-            request.onerror = () => reject(request.error);
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
         });
     }
 
-    async deleteHandle(id) {
+    async deleteAllByIndex(storeName, indexName, value) {
         if (!this.db) await this.init();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['handles'], 'readwrite');
-            const store = transaction.objectStore('handles');
-            const request = store.delete(id);
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const index = transaction.objectStore(storeName).index(indexName);
+            const request = index.openKeyCursor(value);
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    transaction.objectStore(storeName).delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async delete(storeName, key) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const request = store.delete(key);
 
             request.onsuccess = () => resolve();
             request.onerror = () => reject(request.error);
         });
     }
 
+    // Queue a put (or a delete when value is undefined), later writes to the same key win
+    queueWrite(storeName, key, value) {
+        this.pendingWrites.set(`${storeName}\u0000${key}`, { storeName, key, value });
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flushQuietly(), this.flushDelay);
+        }
+    }
+
+    // For callers that can't wait on the result (timers, page unload), failures are only logged
+    flushQuietly() {
+        this.flush().catch(error => console.error('Error saving queued writes:', error));
+    }
+
+    async flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        if (this.pendingWrites.size === 0) return;
+        if (!this.db) await this.init();
+
+        const writes = Array.from(this.pendingWrites.values());
+        this.pendingWrites.clear();
+        const storeNames = [...new Set(writes.map(write => write.storeName))];
+
+        try {
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction(storeNames, 'readwrite');
+
+                for (const { storeName, key, value } of writes) {
+                    const store = transaction.objectStore(storeName);
+                    if (value === undefined) {
+                        store.delete(key);
+                    } else {
+                        store.put(value);
+                    }
+                }
+
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        } catch (error) {
+            // Nothing was written, queue the writes again unless a newer one for the same key came in meanwhile
+            for (const write of writes) {
+                const id = `${write.storeName}\u0000${write.key}`;
+                if (!this.pendingWrites.has(id)) this.pendingWrites.set(id, write);
+            }
+            throw error;
+        }
+    }
+
+    async saveHandle(id, handle) {
+        return this.put('handles', { id, handle });
+    }
+
+    async getHandle(id) {
+        const result = await this.get('handles', id);
+        return result ? result.handle : null;
+    }
+
+    async deleteHandle(id) {
+        return this.delete('handles', id);
+    }
+
+    async getDurations(keys) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['durations'], 'readonly');
+            const store = transaction.objectStore('durations');
+            const durations = new Map();
+
+            for (const key of keys) {
+                const request = store.get(key);
+                request.onsuccess = () => {
+                    if (request.result) {
+                        durations.set(key, request.result.duration);
+                    }
+                };
+            }
+
+            transaction.oncomplete = () => resolve(durations);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async saveDuration(key, duration) {
+        return this.put('durations', { key, duration });
+    }
+
+    async getSubtitleCues(key) {
+        const result = await this.get('subtitleCues', key);
+        return result ? result.cues : null;
+    }
+
+    async saveSubtitleCues(key, cues) {
+        return this.put('subtitleCues', { key, cues });
+    }
+
+    async getStoryboard(key) {
+        return this.get('storyboards', key);
+    }
+
+    async saveStoryboard(storyboard) {
+        return this.put('storyboards', storyboard);
+    }
+
+    // Drop the storyboards an earlier version of a lesson's file left behind
+    async pruneStoryboards(courseId, lessonId, keepKey) {
+        if (!this.db) await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['storyboards'], 'readwrite');
+            const request = transaction.objectStore('storyboards').index('courseId').openCursor(courseId);
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    if (cursor.value.lessonId === lessonId && cursor.value.key !== keepKey) cursor.delete();
+                    cursor.continue();
+                }
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async getThumbnail(courseId) {
+        return this.get('thumbnails', courseId);
+    }
+
+    async saveThumbnail(thumbnail) {
+        return this.put('thumbnails', thumbnail);
+    }
+
+    async deleteThumbnail(courseId) {
+        return this.delete('thumbnails', courseId);
+    }
+
     async getAllHandles() {
         if (!this.db) await this.init();
 
@@ -81,6 +347,155 @@ class HandleDB {
     }
 }
 
+// Stand-ins for File System Access API handles, built from the File objects of a
+// folder input or a dropped folder. They can't be stored, so such courses have to be
+// selected again each session
+class FileListDirectoryHandle {
+    constructor(name) {
+        this.kind = 'directory';
+        this.name = name;
+        this.entries = new Map();
+    }
+
+    // Files from <input webkitdirectory>, their relative paths start with the folder name
+    static fromFiles(files) {
+        let root = null;
+
+        for (const file of files) {
+            const parts = file.webkitRelativePath.split('/');
+            if (!root) root = new FileListDirectoryHandle(parts[0]);
+
+            let dir = root;
+            for (const part of parts.slice(1, -1)) {
+                if (!dir.entries.has(part)) {
+                    dir.entries.set(part, new FileListDirectoryHandle(part));
+                }
+                dir = dir.entries.get(part);
+            }
+            dir.entries.set(file.name, new FileListFileHandle(file));
+        }
+
+        return root;
+    }
+
+    // A dropped FileSystemDirectoryEntry, read recursively
+    static async fromEntry(entry) {
+        const dir = new FileListDirectoryHandle(entry.name);
+        const reader = entry.createReader();
+
+        // readEntries returns the folder in batches, an empty batch ends it
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            for (const child of batch) {
+                if (child.isDirectory) {
+                    dir.entries.set(child.name, await FileListDirectoryHandle.fromEntry(child));
+                } else {
+                    const file = await new Promise((resolve, reject) => child.file(resolve, reject));
+                    dir.entries.set(child.name, new FileListFileHandle(file));
+                }
+            }
+        } while (batch.length > 0);
+
+        return dir;
+    }
+
+    async *values() {
+        yield* this.entries.values();
+    }
+
+    async isSameEntry(other) {
+        return other === this;
+    }
+}
+
+class FileListFileHandle {
+    constructor(file) {
+        this.kind = 'file';
+        this.name = file.name;
+        this.file = file;
+    }
+
+    async getFile() {
+        return this.file;
+    }
+}
+
+// Optional course manifest in the course root, the first name found is used
+const MANIFEST_FILE_NAMES = ['course.json', 'course.yaml', 'course.yml'];
+
+// Cover images picked up from the course root, in order of preference
+const COVER_FILE_NAMES = ['cover.jpg', 'cover.jpeg', 'cover.png', 'cover.webp', 'poster.jpg', 'poster.jpeg', 'poster.png', 'poster.webp'];
+
+// Width of stored cover thumbnails in pixels
+const THUMBNAIL_WIDTH = 480;
+
+// Give up on a video cover frame after this many milliseconds
+const COVER_CAPTURE_TIMEOUT = 15000;
+
+// Timeline preview storyboards: at most this many frames, at least this many seconds apart
+const STORYBOARD_MAX_FRAMES = 100;
+const STORYBOARD_MIN_INTERVAL = 5;
+const STORYBOARD_FRAME_WIDTH = 160;
+const STORYBOARD_COLUMNS = 10;
+
+// Version of the exported backup file format
+const BACKUP_VERSION = 1;
+
+// Course ids made by generateCourseId: a UUID, or a timestamp and random part in base 36
+const COURSE_ID_PATTERN = /^(?:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-z]+-[0-9a-z]+)$/;
+
+// Preferences included in backups
+const BACKUP_PREFERENCE_KEYS = ['captions_enabled', 'captions_language', 'sidebar_width', 'keyboard_shortcuts', 'completion_threshold', 'library_sort'];
+
+// Per-course record stores, each indexed by courseId. They are removed with
+// their course, except the watch history behind the statistics, and included in backups
+const COURSE_RECORD_STORES = ['notes', 'bookmarks', 'watchSessions', 'loops'];
+
+// Slower speeds offered for practicing a loop
+const LOOP_RATES = [0.5, 0.75];
+
+// Keyboard shortcuts in the lesson view, keys are written the way getShortcutKey() reports them
+const SHORTCUT_ACTIONS = [
+    { action: 'playPause', label: 'Play / Pause', defaultKey: 'Space' },
+    { action: 'seekBackward5', label: 'Back 5 seconds', defaultKey: 'ArrowLeft' },
+    { action: 'seekForward5', label: 'Forward 5 seconds', defaultKey: 'ArrowRight' },
+    { action: 'seekBackward10', label: 'Back 10 seconds', defaultKey: 'J' },
+    { action: 'seekForward10', label: 'Forward 10 seconds', defaultKey: 'L' },
+    { action: 'speedDown', label: 'Slower playback', defaultKey: '<' },
+    { action: 'speedUp', label: 'Faster playback', defaultKey: '>' },
+    { action: 'toggleCaptions', label: 'Toggle captions', defaultKey: 'C' },
+    { action: 'addBookmark', label: 'Bookmark current time', defaultKey: 'B' },
+    { action: 'setLoopStart', label: 'Set loop start (A)', defaultKey: '[' },
+    { action: 'setLoopEnd', label: 'Set loop end (B)', defaultKey: ']' },
+    { action: 'toggleLoop', label: 'Start / stop loop', defaultKey: 'R' },
+    { action: 'toggleComplete', label: 'Mark lesson complete', defaultKey: 'M' },
+    { action: 'previousLesson', label: 'Previous lesson', defaultKey: 'P' },
+    { action: 'nextLesson', label: 'Next lesson', defaultKey: 'N' },
+    { action: 'toggleSidebar', label: 'Toggle sidebar', defaultKey: 'S' },
+    { action: 'focusSearch', label: 'Search course', defaultKey: '/' },
+    { action: 'showShortcuts', label: 'Show keyboard shortcuts', defaultKey: '?' }
+];
+
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+
+// Icons of the player control bar
+const PLAYER_ICONS = {
+    play: '<svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><polygon points="6 4 20 12 6 20 6 4"></polygon></svg>',
+    pause: '<svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect></svg>',
+    volume: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5" fill="currentColor"></polygon><path d="M15.54 8.46a5 5 0 0 1 0 7.07"></path><path d="M19.07 4.93a10 10 0 0 1 0 14.14"></path></svg>',
+    muted: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5" fill="currentColor"></polygon><line x1="23" y1="9" x2="17" y2="15"></line><line x1="17" y1="9" x2="23" y2="15"></line></svg>',
+    fullscreen: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="15 3 21 3 21 9"></polyline><polyline points="9 21 3 21 3 15"></polyline><line x1="21" y1="3" x2="14" y2="10"></line><line x1="3" y1="21" x2="10" y2="14"></line></svg>',
+    cover: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"></rect><circle cx="8.5" cy="8.5" r="1.5"></circle><polyline points="21 15 16 10 5 21"></polyline></svg>',
+    exitFullscreen: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="4 14 10 14 10 20"></polyline><polyline points="20 10 14 10 14 4"></polyline><line x1="14" y1="10" x2="21" y2="3"></line><line x1="3" y1="21" x2="10" y2="14"></line></svg>'
+};
+
+// Share of a lesson that must be watched before it completes itself, 0 turns it off
+const DEFAULT_COMPLETION_THRESHOLD = 0.9;
+
+// Lessons listed per kind of change in the rescan summary, the rest are counted
+const RESCAN_MAX_LISTED = 10;
+
 // Neo-Brutalist Course Viewer Application
 class CourseViewer {
     constructor() {
@@ -88,30 +503,63 @@ class CourseViewer {
         this.courseStructure = [];
         this.currentLesson = null;
         this.completedLessons = new Set();
+        this.watchedIntervals = {}; // Watched [start, end] ranges by lesson id, for the open course
+        this.completedDates = {}; // When each lesson of the open course was completed
+        this.newLessons = new Set(); // Lessons of the open course found since the last scan and not opened yet
+        this.activeWatchSession = null; // Playback being logged, written when it ends
+        this.goalCourseId = null; // Course whose goal is being edited
+        this.tagsCourseId = null; // Course whose tags are being edited
+        this.coverCourseId = null; // Course whose cover is being changed
+        this.coverUrls = []; // Object URLs of the cover thumbnails on the homepage
+        this.coverRenderToken = null; // Identifies the latest cover render, older ones stop
+        this.cancelFolderPick = null; // Ends the folder input pick still waiting for a change
+        this.storyboard = null; // Timeline preview frames of the current lesson
+        this.storyboardToken = null; // Identifies the latest storyboard job, older ones stop
+        this.currentChapters = []; // Chapters of the current lesson, from its .chapters.vtt file
         this.courseName = '';
         this.courseLibrary = new Map(); // Stores all loaded courses
         this.currentCourseId = null;
         this.videoProgress = {}; // Track video playback positions
+        this.progressData = new Map(); // Saved progress records by course id
+        this.sessionData = new Map(); // Last viewed lesson by course id
+        this.preferences = new Map(); // Preferences and app-level flags
+        this.persistedCourseIds = new Set(); // Library ids currently written to IndexedDB
+        this.courseNotes = []; // Notes of the open course
+        this.courseBookmarks = []; // Bookmarks of the open course
+        this.courseLoops = []; // Saved A-B loops of the open course
+        this.loopPoints = { start: null, end: null }; // Loop being set up on the current lesson
+        this.activeLoop = null; // Segment repeating right now, with its repeat count and speed
+        this.pendingSeekTime = null; // Time to seek to once the next lesson loads, overrides resume
+        this.activeLessonPanel = 'notes'; // Lesson panel tab kept across lessons
         this.modalResolve = null; // For promise-based modal
-        this.handleDB = new HandleDB(); // IndexedDB for directory handles
+        this.courseDB = new CourseDB(); // IndexedDB for handles, progress and preferences
         this.shouldAutoPlay = false; // Flag to auto-play next video
-        this.captionsEnabled = this.loadCaptionPreference(); // Track caption preference
+        this.captionPreference = { enabled: true, language: '' }; // Track caption on/off and language
+        this.shortcuts = {}; // Key bound to each shortcut action
+        this.recordingShortcut = null; // Action waiting for a new key in the shortcuts dialog
+        this.playerToastTimer = null;
+        this.searchIndex = []; // Section, lesson and subtitle cue entries of the open course
+        this.searchIndexProgress = { indexed: 0, total: 0 };
 
         this.init();
     }
 
     loadCaptionPreference() {
-        const saved = localStorage.getItem('captions_enabled');
-        return saved === null ? true : saved === 'true';
+        return {
+            enabled: this.getPreference('captions_enabled', true),
+            language: this.getPreference('captions_language', '')
+        };
     }
 
-    saveCaptionPreference(enabled) {
-        this.captionsEnabled = enabled;
-        localStorage.setItem('captions_enabled', enabled);
+    saveCaptionPreference(enabled, language = this.captionPreference.language) {
+        this.captionPreference = { enabled, language };
+        this.setPreference('captions_enabled', enabled);
+        this.setPreference('captions_language', language);
     }
 
     // Custom Alert/Confirm Modal
-    showModal(message, title = 'Alert', showCancel = false) {
+    // Resolves true on confirm, false on cancel and null when dismissed by clicking outside
+    showModal(message, title = 'Alert', showCancel = false, { confirmText = 'OK', cancelText = 'CANCEL' } = {}) {
         return new Promise((resolve) => {
             const overlay = document.getElementById('modalOverlay');
             const modalTitle = document.getElementById('modalTitle');
@@ -121,6 +569,8 @@ class CourseViewer {
 
             modalTitle.textContent = title;
             modalMessage.textContent = message;
+            confirmBtn.textContent = confirmText;
+            cancelBtn.textContent = cancelText;
 
             if (showCancel) {
                 cancelBtn.style.display = 'inline-flex';
@@ -130,42 +580,56 @@ class CourseViewer {
 
             overlay.style.display = 'flex';
 
-            const handleConfirm = () => {
-                overlay.style.display = 'none';
-                confirmBtn.removeEventListener('click', handleConfirm);
-                cancelBtn.removeEventListener('click', handleCancel);
-                resolve(true);
-            };
-
-            const handleCancel = () => {
+            const close = (result) => {
                 overlay.style.display = 'none';
                 confirmBtn.removeEventListener('click', handleConfirm);
                 cancelBtn.removeEventListener('click', handleCancel);
-                resolve(false);
+                overlay.removeEventListener('click', handleOverlayClick);
+                resolve(result);
             };
 
-            confirmBtn.addEventListener('click', handleConfirm);
-            cancelBtn.addEventListener('click', handleCancel);
+            const handleConfirm = () => close(true);
+            const handleCancel = () => close(false);
 
             // Close on overlay click
-            overlay.addEventListener('click', (e) => {
+            const handleOverlayClick = (e) => {
                 if (e.target === overlay) {
-                    handleCancel();
+                    close(null);
                 }
-            });
+            };
+
+            confirmBtn.addEventListener('click', handleConfirm);
+            cancelBtn.addEventListener('click', handleCancel);
+            overlay.addEventListener('click', handleOverlayClick);
         });
     }
 
     async init() {
         // Initialize IndexedDB
-        await this.handleDB.init();
+        await this.courseDB.init();
 
         // Request persistent storage
         await this.requestPersistentStorage();
 
-        this.loadCourseLibrary();
+        await this.importLocalStorageData();
+        await this.loadPersistentState();
+        await this.migrateCourseIds();
+        this.captionPreference = this.loadCaptionPreference();
+        this.shortcuts = this.loadShortcuts();
         this.attachEventListeners();
 
+        // Write pending progress before the page goes away
+        window.addEventListener('pagehide', () => {
+            this.endWatchSession();
+            this.courseDB.flushQuietly();
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.endWatchSession();
+                this.courseDB.flushQuietly();
+            }
+        });
+
         // Try to restore last session
         await this.loadLastSession();
     }
@@ -189,12 +653,54 @@ class CourseViewer {
         document.getElementById('selectFolderBtn').addEventListener('click', () => this.openCourse());
         // Get started button adds course to library
         document.getElementById('getStartedBtn').addEventListener('click', () => this.addCourse());
+        // Course folders can also be dropped onto the homepage
+        this.setupFolderDrop();
+        if (!('showDirectoryPicker' in window)) {
+            document.getElementById('folderAccessNote').hidden = false;
+        }
+
+        // Library search, sorting, filters and tags
+        this.setupLibraryToolbar();
+        this.setupTagsDialog();
+        this.setupCoverDialog();
+
+        // Study goals
+        this.setupGoalDialog();
+
+        // Statistics
+        document.getElementById('statsBtn').addEventListener('click', () => this.showStatistics());
+
+        // Backup and restore
+        document.getElementById('exportDataBtn').addEventListener('click', () => this.exportBackup());
+        document.getElementById('importDataBtn').addEventListener('click', () => {
+            document.getElementById('importFileInput').click();
+        });
+        document.getElementById('importFileInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow importing the same file again
+            if (file) this.importBackup(file);
+        });
+
+        // Auto-completion threshold
+        document.getElementById('completionThresholdSelect').addEventListener('change', (e) => {
+            this.setPreference('completion_threshold', Number(e.target.value));
+        });
 
         // Lesson navigation
         document.getElementById('markCompleteBtn').addEventListener('click', () => this.toggleLessonComplete());
         document.getElementById('prevLessonBtn').addEventListener('click', () => this.navigateLesson(-1));
         document.getElementById('nextLessonBtn').addEventListener('click', () => this.navigateLesson(1));
 
+        // Course search
+        this.setupSearch();
+
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
+        this.setupShortcutsDialog();
+
+        // The player's fullscreen button follows Esc and the browser's own exit
+        document.addEventListener('fullscreenchange', () => this.updateFullscreenButton());
+
         // Resizer for sidebar
         this.setupResizer();
     }
@@ -213,12 +719,9 @@ class CourseViewer {
         const MIN_CONTENT_WIDTH = 400;
 
         // Restore saved sidebar width
-        const savedWidth = localStorage.getItem('sidebar_width');
-        if (savedWidth) {
-            const width = parseInt(savedWidth);
-            if (width >= MIN_SIDEBAR_WIDTH && width <= MAX_SIDEBAR_WIDTH) {
-                sidebar.style.width = width + 'px';
-            }
+        const width = this.getPreference('sidebar_width', null);
+        if (width >= MIN_SIDEBAR_WIDTH && width <= MAX_SIDEBAR_WIDTH) {
+            sidebar.style.width = width + 'px';
         }
 
         resizer.addEventListener('mousedown', (e) => {
@@ -263,745 +766,3363 @@ class CourseViewer {
             document.body.style.userSelect = '';
 
             // Save the new width
-            localStorage.setItem('sidebar_width', sidebar.offsetWidth);
+            this.setPreference('sidebar_width', sidebar.offsetWidth);
         });
     }
 
-    async openCourse() {
-        try {
-            // Check if File System Access API is supported
-            if (!('showDirectoryPicker' in window)) {
-                await this.showModal('Your browser does not support the File System Access API. Please use Chrome, Edge, or another compatible browser.', 'Browser Not Supported');
-                return;
-            }
-
-            this.directoryHandle = await window.showDirectoryPicker();
-            await this.loadCourse(true); // true = open immediately
-        } catch (error) {
-            if (error.name !== 'AbortError') {
-                console.error('Error selecting folder:', error);
-                await this.showModal('Error accessing folder. Please try again.', 'Error');
-            }
+    // Keyboard Shortcuts
+    loadShortcuts() {
+        const saved = this.getPreference('keyboard_shortcuts', {}) || {};
+        const shortcuts = {};
+        for (const { action, defaultKey } of SHORTCUT_ACTIONS) {
+            shortcuts[action] = typeof saved[action] === 'string' ? saved[action] : defaultKey;
         }
+        return shortcuts;
     }
 
-    async addCourse() {
-        try {
-            // Check if File System Access API is supported
-            if (!('showDirectoryPicker' in window)) {
-                await this.showModal('Your browser does not support the File System Access API. Please use Chrome, Edge, or another compatible browser.', 'Browser Not Supported');
-                return;
-            }
+    saveShortcuts() {
+        // Only rebound keys are stored, so changed defaults still reach everyone else
+        const changed = {};
+        for (const { action, defaultKey } of SHORTCUT_ACTIONS) {
+            if (this.shortcuts[action] !== defaultKey) changed[action] = this.shortcuts[action];
+        }
 
-            this.directoryHandle = await window.showDirectoryPicker();
-            await this.loadCourse(false); // false = add to library only
-        } catch (error) {
-            if (error.name !== 'AbortError') {
-                console.error('Error selecting folder:', error);
-                await this.showModal('Error accessing folder. Please try again.', 'Error');
-            }
+        if (Object.keys(changed).length > 0) {
+            this.setPreference('keyboard_shortcuts', changed);
+        } else {
+            this.removePreference('keyboard_shortcuts');
         }
+        this.updateShortcutHints();
+        this.renderBookmarksList();
     }
 
-    async loadCourse(shouldOpen = true) {
-        try {
-            this.courseName = this.directoryHandle.name;
-            this.currentCourseId = this.generateCourseId(this.courseName);
-            this.courseStructure = await this.parseCourseStructure(this.directoryHandle);
-
-            // Load progress for this course
-            this.loadCourseProgress(this.currentCourseId);
-
-            // Save progress to update duration info
-            this.saveCourseProgress(this.currentCourseId);
+    getShortcutKey(e) {
+        let key = e.key === ' ' ? 'Space' : e.key;
+        if (key.length === 1) key = key.toUpperCase();
 
-            // Save directory handle to IndexedDB
-            await this.handleDB.saveHandle(this.currentCourseId, this.directoryHandle);
+        const modifiers = [];
+        if (e.ctrlKey) modifiers.push('Ctrl');
+        if (e.altKey) modifiers.push('Alt');
+        if (e.metaKey) modifiers.push('Meta');
+        // Shift is already part of printed characters like ? or >
+        if (e.shiftKey && key.length > 1) modifiers.push('Shift');
 
-            // Save directory handle to course library
-            this.courseLibrary.set(this.currentCourseId, {
-                name: this.courseName,
-                handle: this.directoryHandle,
-                addedDate: Date.now(),
-                lastAccessed: Date.now()
-            });
-            this.saveCourseLibrary();
+        return [...modifiers, key].join('+');
+    }
 
-            if (shouldOpen) {
-                // Open the course
-                this.renderCourseNavigation();
-                this.updateProgressBar();
-                this.showLessonContent();
+    formatShortcutKey(key) {
+        if (!key) return 'None';
 
-                // Hide welcome screen, show content and sidebar, hide add button
-                document.getElementById('welcomeScreen').style.display = 'none';
-                document.getElementById('lessonContent').style.display = 'flex';
-                document.getElementById('sidebar').classList.remove('hidden');
-                document.getElementById('selectFolderBtn').classList.add('hidden');
-            } else {
-                // Just add to library, stay on homepage
-                this.renderHomepage();
-                await this.showModal(`Course "${this.courseName}" has been added to your library!`, 'Course Added');
-            }
-        } catch (error) {
-            console.error('Error loading course:', error);
-            await this.showModal('Error loading course structure. Please ensure the folder contains valid course content.', 'Error');
-        }
+        const names = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Meta: '⌘' };
+        const [, modifiers, mainKey] = key.match(/^((?:(?:Ctrl|Alt|Meta|Shift)\+)*)(.+)$/);
+        return [...modifiers.split('+').filter(Boolean), mainKey]
+            .map(part => names[part] || part)
+            .join(' + ');
     }
 
-    async parseCourseStructure(dirHandle) {
-        const structure = [];
-        const entries = [];
+    updateShortcutHints() {
+        document.querySelectorAll('[data-shortcut]').forEach(el => {
+            const key = this.shortcuts[el.dataset.shortcut];
+            el.textContent = key ? this.formatShortcutKey(key) : '';
+        });
+    }
 
-        // Collect all entries
-        for await (const entry of dirHandle.values()) {
-            if (entry.kind === 'directory') {
-                entries.push(entry);
-            }
+    handleShortcut(e) {
+        if (this.recordingShortcut) {
+            this.recordShortcutKey(e);
+            return;
         }
 
-        // Validate: must have directories (sections)
-        if (entries.length === 0) {
-            throw new Error('No sections found. Course folder must contain numbered section folders.');
+        const shortcutsOpen = document.getElementById('shortcutsOverlay').style.display === 'flex';
+        if (shortcutsOpen && e.key === 'Escape') {
+            this.closeShortcutsDialog();
+            return;
         }
 
-        // Sort directories by name (which includes numbers)
-        entries.sort((a, b) => this.naturalSort(a.name, b.name));
-
-        let totalVideosFound = 0;
+        if (e.defaultPrevented || this.isEditableTarget(e.target)) return;
+        if (document.getElementById('modalOverlay').style.display === 'flex') return;
 
-        // Parse each section
-        for (const entry of entries) {
-            const section = {
-                name: this.cleanSectionName(entry.name),
-                rawName: entry.name,
-                lessons: [],
-                hasNonVideoFiles: false
-            };
+        const key = this.getShortcutKey(e);
+        const shortcut = SHORTCUT_ACTIONS.find(({ action }) => this.shortcuts[action] === key);
+        if (!shortcut) return;
 
-            // Get lessons in this section
-            const lessonEntries = [];
-            for await (const lessonEntry of entry.values()) {
-                if (lessonEntry.kind === 'file') {
-                    lessonEntries.push(lessonEntry);
-                }
+        if (shortcut.action === 'showShortcuts') {
+            e.preventDefault();
+            if (shortcutsOpen) {
+                this.closeShortcutsDialog();
+            } else {
+                this.openShortcutsDialog();
             }
+            return;
+        }
 
-            // Sort lessons
-            lessonEntries.sort((a, b) => this.naturalSort(a.name, b.name));
-
-            // Group lessons by number (video + subtitle only)
-            const lessonGroups = new Map();
-            const nonVideoFiles = [];
-
-            for (const lessonEntry of lessonEntries) {
-                const lessonNumber = this.extractLessonNumber(lessonEntry.name);
-                const fileType = this.getFileType(lessonEntry.name);
+        // Everything else only applies while a lesson is on screen
+        if (shortcutsOpen || !this.currentLesson) return;
+        if (document.getElementById('lessonContent').style.display === 'none') return;
 
-                // Only process video and subtitle files
-                if (fileType === 'video' || fileType === 'subtitle') {
-                    if (!lessonGroups.has(lessonNumber)) {
-                        lessonGroups.set(lessonNumber, {
-                            number: lessonNumber,
-                            name: this.cleanLessonName(lessonEntry.name),
-                            files: [],
-                            duration: 0
-                        });
-                    }
+        if (this.runShortcutAction(shortcut.action)) {
+            e.preventDefault();
+        }
+    }
 
-                    lessonGroups.get(lessonNumber).files.push({
-                        handle: lessonEntry,
-                        name: lessonEntry.name,
-                        type: fileType
-                    });
+    runShortcutAction(action) {
+        const lessonActions = {
+            toggleComplete: () => this.toggleLessonComplete(),
+            previousLesson: () => this.navigateLesson(-1),
+            nextLesson: () => this.navigateLesson(1),
+            toggleSidebar: () => this.toggleSidebar(),
+            focusSearch: () => this.focusSearch()
+        };
+        if (lessonActions[action]) {
+            lessonActions[action]();
+            return true;
+        }
 
-                    if (fileType === 'video') {
-                        totalVideosFound++;
-                    }
-                } else {
-                    // Track non-video files
-                    nonVideoFiles.push(lessonEntry.name);
-                }
-            }
+        // The remaining actions control the player, resources have none
+        const player = this.getActivePlayer();
+        if (!player) return false;
+
+        const playerActions = {
+            playPause: () => (player.paused ? player.play().catch(() => {}) : player.pause()),
+            seekBackward5: () => this.seekPlayer(player, -5),
+            seekForward5: () => this.seekPlayer(player, 5),
+            seekBackward10: () => this.seekPlayer(player, -10),
+            seekForward10: () => this.seekPlayer(player, 10),
+            speedDown: () => this.changePlaybackRate(player, -1),
+            speedUp: () => this.changePlaybackRate(player, 1),
+            toggleCaptions: () => this.toggleCaptions(player),
+            addBookmark: () => this.addBookmark(),
+            setLoopStart: () => this.setLoopPoint('start'),
+            setLoopEnd: () => this.setLoopPoint('end'),
+            toggleLoop: () => (this.activeLoop ? this.stopLoop() : this.startLoop())
+        };
+        if (!playerActions[action]) return false;
 
-            // Only include lessons that have videos
-            const videoLessons = Array.from(lessonGroups.values())
-                .filter(lesson => lesson.files.some(f => f.type === 'video'))
-                .sort((a, b) => this.naturalSort(a.number, b.number));
+        playerActions[action]();
+        return true;
+    }
 
-            // Extract durations for all videos in this section
-            for (const lesson of videoLessons) {
-                const videoFile = lesson.files.find(f => f.type === 'video');
-                if (videoFile) {
-                    try {
-                        lesson.duration = await this.getVideoDuration(videoFile.handle);
-                    } catch (error) {
-                        console.error('Error getting duration for', lesson.name, error);
-                        lesson.duration = 0;
-                    }
-                }
-            }
+    seekPlayer(player, seconds) {
+        let time = Math.max(0, player.currentTime + seconds);
+        if (Number.isFinite(player.duration)) {
+            time = Math.min(time, player.duration);
+        }
+        player.currentTime = time;
+    }
 
-            section.lessons = videoLessons;
-            section.hasNonVideoFiles = nonVideoFiles.length > 0;
+    changePlaybackRate(player, step) {
+        let index = PLAYBACK_RATES.findIndex(rate => rate >= player.playbackRate);
+        if (index === -1) index = PLAYBACK_RATES.length - 1;
 
-            // Calculate section duration
-            section.duration = section.lessons.reduce((sum, lesson) => sum + lesson.duration, 0);
+        const newIndex = Math.min(Math.max(index + step, 0), PLAYBACK_RATES.length - 1);
+        player.playbackRate = PLAYBACK_RATES[newIndex];
+        this.showPlayerToast(`Speed ${PLAYBACK_RATES[newIndex]}x`);
+    }
 
-            // Only add section if it has video lessons
-            if (section.lessons.length > 0) {
-                structure.push(section);
-            }
+    toggleCaptions(player) {
+        const tracks = Array.from(player.textTracks).filter(track => track.kind === 'subtitles');
+        if (tracks.length === 0) {
+            this.showPlayerToast('No captions for this lesson');
+            return;
         }
 
-        // Validate: must have at least one video
-        if (totalVideosFound === 0) {
-            throw new Error('No video files found. Course folder must contain video lessons.');
+        // Changing the mode fires the textTracks change listener, which saves the preference
+        const showingTrack = tracks.find(track => track.mode === 'showing');
+        if (showingTrack) {
+            showingTrack.mode = 'hidden';
+            this.showPlayerToast('Captions off');
+        } else {
+            const track = tracks.find(t => t.language === this.captionPreference.language) || tracks[0];
+            track.mode = 'showing';
+            this.showPlayerToast(`Captions: ${track.label || 'on'}`);
         }
+    }
 
-        // Validate: must have valid course structure
-        if (structure.length === 0) {
-            throw new Error('Invalid course format. No valid sections with videos found.');
+    toggleSidebar() {
+        const sidebar = document.getElementById('sidebar');
+        if (sidebar.classList.contains('hidden')) return;
+        sidebar.classList.toggle('collapsed');
+    }
+
+    showPlayerToast(message) {
+        const container = document.querySelector('.video-container');
+        if (!container) return;
+
+        let toast = container.querySelector('.player-toast');
+        if (!toast) {
+            toast = document.createElement('div');
+            toast.className = 'player-toast';
+            container.appendChild(toast);
         }
 
-        return structure;
+        toast.textContent = message;
+        toast.classList.add('visible');
+        clearTimeout(this.playerToastTimer);
+        this.playerToastTimer = setTimeout(() => toast.classList.remove('visible'), 1200);
     }
 
-    generateCourseId(courseName) {
-        // Generate a simple hash-like ID from course name
-        return courseName.toLowerCase().replace(/[^a-z0-9]/g, '_');
-    }
+    // Shortcuts dialog, read-only help that can switch into rebinding keys
+    setupShortcutsDialog() {
+        const overlay = document.getElementById('shortcutsOverlay');
 
-    extractLessonNumber(filename) {
-        const match = filename.match(/^(\d+)\./);
-        return match ? match[1] : '0';
-    }
+        document.getElementById('shortcutsBtn').addEventListener('click', () => this.openShortcutsDialog());
+        document.getElementById('shortcutsCloseBtn').addEventListener('click', () => this.closeShortcutsDialog());
+        document.getElementById('shortcutsEditBtn').addEventListener('click', () => {
+            this.openShortcutsDialog(!overlay.classList.contains('editing'));
+        });
+        document.getElementById('shortcutsResetBtn').addEventListener('click', () => {
+            this.recordingShortcut = null;
+            this.shortcuts = Object.fromEntries(SHORTCUT_ACTIONS.map(({ action, defaultKey }) => [action, defaultKey]));
+            this.saveShortcuts();
+            this.renderShortcutsList();
+        });
 
-    cleanSectionName(name) {
-        // Remove leading numbers and dots
-        return name.replace(/^\d+\.\s*/, '');
+        // Close on overlay click
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.closeShortcutsDialog();
+        });
     }
 
-    cleanLessonName(filename) {
-        // Remove leading numbers, file extension, and clean up
-        return filename
-            .replace(/^\d+\.\s*/, '')
-            .replace(/\.(mp4|pdf|html|txt|vtt|zip|odp)$/i, '')
-            .trim();
-    }
+    openShortcutsDialog(editing = false) {
+        const overlay = document.getElementById('shortcutsOverlay');
 
-    getFileType(filename) {
-        const ext = filename.split('.').pop().toLowerCase();
-        const typeMap = {
-            'mp4': 'video',
-            'vtt': 'subtitle',
-            'pdf': 'pdf',
-            'html': 'html',
-            'txt': 'text',
-            'zip': 'archive',
-            'odp': 'presentation'
-        };
-        return typeMap[ext] || 'file';
-    }
+        this.recordingShortcut = null;
+        overlay.classList.toggle('editing', editing);
+        document.getElementById('shortcutsEditBtn').textContent = editing ? 'VIEW' : 'CUSTOMIZE';
+        document.getElementById('shortcutsResetBtn').style.display = editing ? 'inline-flex' : 'none';
+        document.getElementById('shortcutsHint').textContent = editing
+            ? 'Click a shortcut, then press the new key. Esc cancels.'
+            : 'Shortcuts work anywhere in the lesson view, except while typing.';
 
-    naturalSort(a, b) {
-        return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+        this.renderShortcutsList();
+        overlay.style.display = 'flex';
     }
 
-    async getVideoDuration(videoHandle) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                const file = await videoHandle.getFile();
-                const url = URL.createObjectURL(file);
-                const video = document.createElement('video');
+    closeShortcutsDialog() {
+        this.recordingShortcut = null;
+        document.getElementById('shortcutsOverlay').style.display = 'none';
+    }
 
-                video.addEventListener('loadedmetadata', () => {
-                    URL.revokeObjectURL(url);
-                    resolve(video.duration);
-                });
+    renderShortcutsList() {
+        const list = document.getElementById('shortcutsList');
+        const editing = document.getElementById('shortcutsOverlay').classList.contains('editing');
+        list.innerHTML = '';
+
+        for (const { action, label } of SHORTCUT_ACTIONS) {
+            const row = document.createElement('div');
+            row.className = 'shortcut-row';
+            row.innerHTML = `<span class="shortcut-label">${label}</span>`;
+
+            const keyEl = document.createElement(editing ? 'button' : 'kbd');
+            keyEl.className = 'shortcut-key';
+            if (this.recordingShortcut === action) {
+                keyEl.classList.add('recording');
+                keyEl.textContent = 'Press a key...';
+            } else {
+                keyEl.classList.toggle('unbound', !this.shortcuts[action]);
+                keyEl.textContent = this.formatShortcutKey(this.shortcuts[action]);
+            }
 
-                video.addEventListener('error', () => {
-                    URL.revokeObjectURL(url);
-                    reject(new Error('Failed to load video metadata'));
+            if (editing) {
+                keyEl.addEventListener('click', () => {
+                    this.recordingShortcut = action;
+                    this.renderShortcutsList();
                 });
-
-                video.src = url;
-            } catch (error) {
-                reject(error);
             }
-        });
+
+            row.appendChild(keyEl);
+            list.appendChild(row);
+        }
     }
 
-    formatDuration(seconds) {
-        if (!seconds || seconds === 0) return '0:00';
+    recordShortcutKey(e) {
+        e.preventDefault();
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
 
-        const hours = Math.floor(seconds / 3600);
-        const minutes = Math.floor((seconds % 3600) / 60);
-        const secs = Math.floor(seconds % 60);
+        const action = this.recordingShortcut;
+        this.recordingShortcut = null;
 
-        if (hours > 0) {
-            return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+        if (e.key !== 'Escape') {
+            const key = this.getShortcutKey(e);
+
+            // A key triggers a single action, its previous owner is left unbound
+            for (const other of Object.keys(this.shortcuts)) {
+                if (other !== action && this.shortcuts[other] === key) {
+                    this.shortcuts[other] = '';
+                }
+            }
+            this.shortcuts[action] = key;
+            this.saveShortcuts();
         }
-        return `${minutes}:${secs.toString().padStart(2, '0')}`;
+
+        this.renderShortcutsList();
     }
 
-    renderCourseNavigation() {
-        const courseTitle = document.getElementById('courseTitle');
-        const courseNav = document.getElementById('courseNav');
+    async openCourse() {
+        try {
+            this.directoryHandle = await this.pickCourseFolder();
+            if (!this.directoryHandle) return;
 
-        courseTitle.textContent = this.courseName;
-        courseNav.innerHTML = '';
+            await this.loadCourse(true); // true = open immediately
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error selecting folder:', error);
+                await this.showModal('Error accessing folder. Please try again.', 'Error');
+            }
+        }
+    }
 
-        this.courseStructure.forEach((section, sectionIndex) => {
-            const sectionEl = document.createElement('div');
-            sectionEl.className = 'section';
+    async addCourse() {
+        try {
+            this.directoryHandle = await this.pickCourseFolder();
+            if (!this.directoryHandle) return;
 
-            const sectionHeader = document.createElement('div');
-            sectionHeader.className = 'section-header';
-            sectionHeader.innerHTML = `
-                <span class="section-title-group">
-                    <span>${section.name}</span>
-                    <span class="section-duration">${this.formatDuration(section.duration)}</span>
-                </span>
-                <span class="section-toggle">▼</span>
-            `;
+            await this.loadCourse(false); // false = add to library only
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error selecting folder:', error);
+                await this.showModal('Error accessing folder. Please try again.', 'Error');
+            }
+        }
+    }
 
-            sectionHeader.addEventListener('click', () => {
-                sectionEl.classList.toggle('collapsed');
-            });
+    async pickCourseFolder() {
+        if ('showDirectoryPicker' in window) {
+            return window.showDirectoryPicker();
+        }
 
-            const lessonsContainer = document.createElement('div');
-            lessonsContainer.className = 'section-lessons';
-
-            // Add non-video files indicator if present
-            if (section.hasNonVideoFiles) {
-                const indicator = document.createElement('div');
-                indicator.className = 'non-video-indicator';
-                indicator.innerHTML = `
-                    <span class="indicator-icon">📂</span>
-                    <span class="indicator-text">This section contains additional resources (PDFs, documents, etc.). Open the course folder locally to access them.</span>
-                `;
-                lessonsContainer.appendChild(indicator);
-            }
+        // Without the File System Access API the folder is read through a file input
+        const folderInput = document.getElementById('folderInput');
+        if (!('webkitdirectory' in folderInput)) {
+            await this.showModal('Your browser does not support selecting folders. Please use a recent version of Chrome, Edge, Firefox or Safari.', 'Browser Not Supported');
+            return null;
+        }
 
-            section.lessons.forEach((lesson, lessonIndex) => {
-                const lessonId = `${sectionIndex}-${lessonIndex}`;
-                const isCompleted = this.completedLessons.has(lessonId);
+        // A pick still waiting from an earlier click ends here, the input is reused
+        if (this.cancelFolderPick) this.cancelFolderPick();
 
-                const lessonEl = document.createElement('div');
-                lessonEl.className = `lesson-item ${isCompleted ? 'completed' : ''}`;
-                lessonEl.dataset.sectionIndex = sectionIndex;
-                lessonEl.dataset.lessonIndex = lessonIndex;
-
-                // All lessons are videos now
-                const icon = '🎥';
-
-                lessonEl.innerHTML = `
-                    <div class="lesson-checkbox"></div>
-                    <span class="lesson-icon">${icon}</span>
-                    <span class="lesson-name">${lesson.name}</span>
-                    <span class="lesson-duration">${this.formatDuration(lesson.duration)}</span>
-                `;
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const cleanup = () => {
+                settled = true;
+                this.cancelFolderPick = null;
+                window.removeEventListener('focus', onFocus);
+                folderInput.onchange = null;
+                folderInput.oncancel = null;
+            };
 
-                lessonEl.addEventListener('click', () => {
-                    this.loadLesson(sectionIndex, lessonIndex);
-                });
+            const onChange = () => {
+                if (settled || folderInput.files.length === 0) return;
+                cleanup();
+                resolve(FileListDirectoryHandle.fromFiles(folderInput.files));
+            };
 
-                lessonsContainer.appendChild(lessonEl);
-            });
+            const onCancel = () => {
+                cleanup();
+                reject(new DOMException('Folder selection was cancelled', 'AbortError'));
+            };
 
-            sectionEl.appendChild(sectionHeader);
-            sectionEl.appendChild(lessonsContainer);
-            courseNav.appendChild(sectionEl);
+            // Browsers without a cancel event only tell that the dialog closed by focusing the page.
+            // Listing a large folder or confirming the upload can take a while, so focus never
+            // counts as a cancel, it only picks up files whose change event went missing
+            const onFocus = () => setTimeout(onChange, 1000);
+
+            folderInput.value = '';
+            folderInput.onchange = onChange;
+            if ('oncancel' in HTMLInputElement.prototype) {
+                folderInput.oncancel = onCancel;
+            } else {
+                window.addEventListener('focus', onFocus);
+            }
+            this.cancelFolderPick = onCancel;
+            folderInput.click();
         });
     }
 
-    getIconForType(type) {
-        const icons = {
-            'video': '🎥',
-            'pdf': '📄',
-            'html': '📝',
-            'text': '📄',
-            'archive': '📦',
-            'presentation': '📊',
-            'file': '📎'
-        };
-        return icons[type] || icons['file'];
+    isSessionOnlyHandle(handle) {
+        return handle instanceof FileListDirectoryHandle;
     }
 
-    setupMobileControls() {
-        const mobileMarkCompleteBtn = document.getElementById('mobileMarkCompleteBtn');
-        const mobilePrevBtn = document.getElementById('mobilePrevBtn');
-        const mobileNextBtn = document.getElementById('mobileNextBtn');
-
-        if (!mobileMarkCompleteBtn || !mobilePrevBtn || !mobileNextBtn) return;
-
-        // Update button states based on current lesson
-        const lessonId = `${this.currentLesson.sectionIndex}-${this.currentLesson.lessonIndex}`;
-        const isCompleted = this.completedLessons.has(lessonId);
+    setupFolderDrop() {
+        const welcomeScreen = document.getElementById('welcomeScreen');
 
-        if (isCompleted) {
-            mobileMarkCompleteBtn.classList.add('completed');
-            document.getElementById('mobileCompleteText').textContent = 'Completed';
-        } else {
-            mobileMarkCompleteBtn.classList.remove('completed');
-            document.getElementById('mobileCompleteText').textContent = 'Mark as Complete';
-        }
+        welcomeScreen.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            welcomeScreen.classList.add('drag-over');
+        });
 
-        // Mobile mark complete button
-        mobileMarkCompleteBtn.addEventListener('click', () => {
-            this.toggleLessonComplete();
-            // Update mobile button text
-            const lessonId = `${this.currentLesson.sectionIndex}-${this.currentLesson.lessonIndex}`;
-            if (this.completedLessons.has(lessonId)) {
-                mobileMarkCompleteBtn.classList.add('completed');
-                document.getElementById('mobileCompleteText').textContent = 'Completed';
-            } else {
-                mobileMarkCompleteBtn.classList.remove('completed');
-                document.getElementById('mobileCompleteText').textContent = 'Mark as Complete';
+        welcomeScreen.addEventListener('dragleave', (e) => {
+            if (!welcomeScreen.contains(e.relatedTarget)) {
+                welcomeScreen.classList.remove('drag-over');
             }
         });
 
-        // Mobile navigation buttons
-        mobilePrevBtn.addEventListener('click', () => this.navigateLesson(-1));
-        mobileNextBtn.addEventListener('click', () => this.navigateLesson(1));
-
-        // Update button states
-        this.updateMobileNavigationButtons();
-    }
-
-    updateMobileNavigationButtons() {
-        const mobilePrevBtn = document.getElementById('mobilePrevBtn');
-        const mobileNextBtn = document.getElementById('mobileNextBtn');
+        welcomeScreen.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            welcomeScreen.classList.remove('drag-over');
 
-        if (!mobilePrevBtn || !mobileNextBtn || !this.currentLesson) return;
+            const item = Array.from(e.dataTransfer.items).find(item => item.kind === 'file');
+            if (!item) return;
 
-        const { sectionIndex, lessonIndex } = this.currentLesson;
+            // The dropped item is only readable during the event, so both are requested up front
+            const handlePromise = item.getAsFileSystemHandle ? item.getAsFileSystemHandle() : null;
+            const entry = item.webkitGetAsEntry ? item.webkitGetAsEntry() : null;
 
-        // Check if there's a previous lesson
-        const hasPrev = sectionIndex > 0 || lessonIndex > 0;
-        mobilePrevBtn.disabled = !hasPrev;
+            try {
+                // A real handle can be stored, dropped entries only last for this session
+                const handle = handlePromise ? await handlePromise : null;
+                if (handle && handle.kind === 'directory') {
+                    this.directoryHandle = handle;
+                } else if (!handle && entry && entry.isDirectory) {
+                    this.directoryHandle = await FileListDirectoryHandle.fromEntry(entry);
+                } else {
+                    await this.showModal('Drop a course folder to add it to your library.', 'Not a Folder');
+                    return;
+                }
 
-        // Check if there's a next lesson
-        const hasNext = sectionIndex < this.courseStructure.length - 1 ||
-                       lessonIndex < this.courseStructure[sectionIndex].lessons.length - 1;
-        mobileNextBtn.disabled = !hasNext;
+                await this.loadCourse(false);
+            } catch (error) {
+                console.error('Error reading dropped folder:', error);
+                await this.showModal('Error accessing folder. Please try again.', 'Error');
+            }
+        });
     }
 
-    renderMobileCourseNav() {
-        const mobileCourseNav = document.getElementById('mobileCourseNav');
-        if (!mobileCourseNav) return;
+    async loadCourse(shouldOpen = true) {
+        try {
+            const manifest = await this.loadCourseManifest(this.directoryHandle);
+            this.courseName = (manifest && manifest.title) || this.directoryHandle.name;
 
-        mobileCourseNav.innerHTML = '';
+            // Re-added folders keep their existing library entry and progress
+            this.courseStructure = await this.parseCourseStructure(this.directoryHandle, manifest);
+            const existingCourseId = await this.findCourseIdForHandle(this.directoryHandle, this.courseStructure);
+            const existingCourse = existingCourseId ? this.courseLibrary.get(existingCourseId) : null;
+            this.currentCourseId = existingCourseId || this.generateCourseId();
 
-        // Add course title
-        const titleEl = document.createElement('h3');
-        titleEl.style.cssText = 'font-size: 1rem; font-weight: 700; margin-bottom: 1rem; color: var(--spotify-white);';
-        titleEl.textContent = this.courseName;
-        mobileCourseNav.appendChild(titleEl);
+            // Load progress for this course
+            await this.migrateLessonIds(this.currentCourseId);
+            await this.detectLessonChanges(this.currentCourseId);
+            this.loadCourseProgress(this.currentCourseId);
+            await this.loadCourseRecords(this.currentCourseId);
 
-        // Render sections and lessons
-        this.courseStructure.forEach((section, sectionIndex) => {
-            const sectionEl = document.createElement('div');
-            sectionEl.style.marginBottom = '1rem';
+            // Save progress to update duration info
+            this.saveCourseProgress(this.currentCourseId);
 
-            const sectionHeader = document.createElement('div');
-            sectionHeader.style.cssText = 'padding: 0.75rem; background: var(--spotify-base); border-radius: 4px; font-weight: 700; font-size: 0.75rem; text-transform: uppercase; letter-spacing: 1px; color: var(--spotify-gray); cursor: pointer; display: flex; justify-content: space-between; align-items: center; gap: 0.5rem;';
-            sectionHeader.innerHTML = `
-                <span style="flex: 1;">${section.name}</span>
-                <span style="font-size: 0.7rem; font-weight: 400; color: var(--spotify-subdued);">${this.formatDuration(section.duration)}</span>
-                <span class="mobile-section-toggle">▼</span>
-            `;
+            // Save directory handle to IndexedDB, folders read from files can't be stored
+            if (!this.isSessionOnlyHandle(this.directoryHandle)) {
+                await this.courseDB.saveHandle(this.currentCourseId, this.directoryHandle);
+            }
 
-            const lessonsContainer = document.createElement('div');
-            lessonsContainer.className = 'mobile-section-lessons';
-            lessonsContainer.style.cssText = 'margin-top: 0.5rem; display: block;';
+            // Save directory handle to course library
+            this.courseLibrary.set(this.currentCourseId, {
+                ...existingCourse,
+                ...this.getManifestDetails(manifest),
+                name: this.directoryHandle.name,
+                handle: this.directoryHandle,
+                tags: existingCourse ? existingCourse.tags : [],
+                addedDate: existingCourse ? existingCourse.addedDate : Date.now(),
+                lastAccessed: Date.now()
+            });
+            this.saveCourseLibrary();
 
-            // Add non-video files indicator if present
-            if (section.hasNonVideoFiles) {
-                const indicator = document.createElement('div');
-                indicator.style.cssText = 'padding: 0.75rem; margin: 0.5rem 0; background: rgba(29, 185, 84, 0.1); border-left: 3px solid var(--spotify-green); border-radius: 4px; display: flex; align-items: flex-start; gap: 0.75rem; font-size: 0.75rem; line-height: 1.4;';
-                indicator.innerHTML = `
-                    <span style="font-size: 1rem; flex-shrink: 0;">📂</span>
-                    <span style="color: var(--spotify-gray); flex: 1;">This section contains additional resources (PDFs, documents, etc.). Open the course folder locally to access them.</span>
-                `;
-                lessonsContainer.appendChild(indicator);
-            }
+            // Durations missing from the cache are probed in the background
+            this.probeMissingDurations(this.courseStructure);
 
-            section.lessons.forEach((lesson, lessonIndex) => {
-                const lessonId = `${sectionIndex}-${lessonIndex}`;
-                const isCompleted = this.completedLessons.has(lessonId);
-                const isActive = this.currentLesson &&
-                                this.currentLesson.sectionIndex === sectionIndex &&
-                                this.currentLesson.lessonIndex === lessonIndex;
+            // Subtitles are indexed for search in the background, cached per file
+            this.buildSearchIndex(this.courseStructure);
 
-                const lessonEl = document.createElement('div');
+            // The cover thumbnail is refreshed in the background when its source changed
+            this.updateCourseCover(this.currentCourseId, this.directoryHandle, this.courseStructure);
+
+            if (shouldOpen) {
+                // Open the course
+                this.renderCourseNavigation();
+                this.updateProgressBar();
+                this.showLessonContent();
+
+                // Hide welcome screen, show content and sidebar, hide add button
+                document.getElementById('welcomeScreen').style.display = 'none';
+                document.getElementById('statsScreen').style.display = 'none';
+                document.getElementById('lessonContent').style.display = 'flex';
+                document.getElementById('sidebar').classList.remove('hidden');
+                document.getElementById('selectFolderBtn').classList.add('hidden');
+            } else {
+                // Just add to library, stay on homepage
+                this.renderHomepage();
+                if (existingCourse) {
+                    await this.showModal(`Course "${this.courseName}" is already in your library.`, 'Course Already Added');
+                } else {
+                    const sessionNote = this.isSessionOnlyHandle(this.directoryHandle)
+                        ? `\n\nThis browser can't keep access to folders, so you'll need to select the folder again each time you open the course in a new session.`
+                        : '';
+                    await this.showModal(`Course "${this.courseName}" has been added to your library!${sessionNote}`, 'Course Added');
+                }
+            }
+        } catch (error) {
+            console.error('Error loading course:', error);
+            await this.showModal('Error loading course structure. Please ensure the folder contains valid course content.', 'Error');
+        }
+    }
+
+    async parseCourseStructure(dirHandle, manifest = null) {
+        const structure = [];
+
+        // Walk the folder tree; every folder holding media becomes a section, a flat course is the root itself
+        await this.parseFolder(dirHandle, [], structure, manifest);
+
+        // Validate: must have at least one video, folders of resources alone are no course
+        if (!structure.some(section => section.lessons.length > 0)) {
+            throw new Error('No video or audio files found. Course folder must contain video or audio lessons.');
+        }
+
+        await this.applyCachedDurations(structure);
+
+        return structure;
+    }
+
+    async parseFolder(folderHandle, pathParts, structure, manifest) {
+        const folders = [];
+        const lessonEntries = [];
+        const rawName = pathParts.join('/');
+        const hidden = manifest ? manifest.hidden : [];
+
+        // Collect all entries, skipping hidden folders like .git and anything the manifest hides
+        for await (const entry of folderHandle.values()) {
+            if (hidden.includes(rawName ? `${rawName}/${entry.name}` : entry.name)) continue;
+
+            if (entry.kind === 'directory') {
+                if (!entry.name.startsWith('.')) {
+                    folders.push(entry);
+                }
+            } else if (entry.kind === 'file') {
+                // The manifest and cover images in the course root aren't resources
+                if (!rawName && [...MANIFEST_FILE_NAMES, ...COVER_FILE_NAMES].includes(entry.name.toLowerCase())) continue;
+                lessonEntries.push(entry);
+            }
+        }
+
+        // Sort by name (which includes numbers)
+        folders.sort((a, b) => this.naturalSort(a.name, b.name));
+        lessonEntries.sort((a, b) => this.naturalSort(a.name, b.name));
+
+        // The manifest's top-level order applies to the course root
+        const folderOrder = manifest ? (rawName ? (manifest.sections[rawName] || {}).order : manifest.order) : null;
+        this.getManifestOrder(folders, folderOrder, folder => folder.name);
+
+        const section = {
+            // Videos in the course root form a section named after the course
+            name: this.getFolderTitle(manifest, rawName, folderHandle.name),
+            rawName,
+            // Display names of the enclosing folders, outermost first
+            groups: pathParts.slice(0, -1).map((part, depth) =>
+                this.getFolderTitle(manifest, pathParts.slice(0, depth + 1).join('/'), part)),
+            lessons: [],
+            resources: []
+        };
+
+        // Group lessons by number (video + subtitle only)
+        const lessonGroups = new Map();
+
+        for (const lessonEntry of lessonEntries) {
+            const lessonNumber = this.extractLessonNumber(lessonEntry.name);
+            const fileType = this.getFileType(lessonEntry.name);
+
+            // Only process media (video/audio), subtitle and chapter files
+            if (fileType === 'video' || fileType === 'audio' || fileType === 'subtitle' || fileType === 'chapters') {
+                if (!lessonGroups.has(lessonNumber)) {
+                    lessonGroups.set(lessonNumber, {
+                        number: lessonNumber,
+                        name: this.cleanLessonName(lessonEntry.name),
+                        files: [],
+                        duration: null // Filled from the duration cache or probed in the background
+                    });
+                }
+
+                // Name the lesson after its media file, "1. Intro.en.srt" sorts before "1. Intro.mp4"
+                if (fileType === 'video' || fileType === 'audio') {
+                    lessonGroups.get(lessonNumber).name = this.cleanLessonName(lessonEntry.name);
+                }
+
+                lessonGroups.get(lessonNumber).files.push({
+                    handle: lessonEntry,
+                    name: lessonEntry.name,
+                    type: fileType
+                });
+            } else {
+                // Everything else is a section resource (PDFs, documents, archives...)
+                section.resources.push({
+                    handle: lessonEntry,
+                    name: lessonEntry.name,
+                    type: fileType
+                });
+            }
+        }
+
+        // Only include lessons that have a video or audio file
+        const videoLessons = Array.from(lessonGroups.values())
+            .filter(lesson => this.getMediaFile(lesson))
+            .sort((a, b) => this.naturalSort(a.number, b.number));
+        this.getManifestOrder(videoLessons, folderOrder, lesson => this.getMediaFile(lesson).name);
+
+        // Extract ids and fingerprints for all media in this section
+        for (const lesson of videoLessons) {
+            const videoFile = this.getMediaFile(lesson);
+            if (videoFile) {
+                // Lessons are identified by their path relative to the course folder
+                lesson.id = rawName ? `${rawName}/${videoFile.name}` : videoFile.name;
+
+                // Display name and extra links from the manifest
+                const lessonOptions = manifest && manifest.lessons[lesson.id];
+                if (lessonOptions) {
+                    if (lessonOptions.title) lesson.name = lessonOptions.title;
+                    lesson.links = lessonOptions.links;
+                }
+
+                try {
+                    const file = await videoFile.handle.getFile();
+                    lesson.fingerprint = { size: file.size, lastModified: file.lastModified };
+                } catch (error) {
+                    console.error('Error reading file info for', lesson.name, error);
+                }
+            }
+        }
+
+        section.lessons = videoLessons;
+
+        // Only add the section if it has lessons or resources; it comes before its subfolders
+        if (section.lessons.length > 0 || section.resources.length > 0) {
+            structure.push(section);
+        }
+
+        for (const folder of folders) {
+            await this.parseFolder(folder, [...pathParts, folder.name], structure, manifest);
+        }
+    }
+
+    getFolderTitle(manifest, path, folderName) {
+        const options = manifest && (path ? manifest.sections[path] : { title: manifest.title });
+        return (options && options.title) || this.cleanSectionName(folderName);
+    }
+
+    // Course Manifest
+    async loadCourseManifest(dirHandle) {
+        const manifestFiles = new Map();
+        for await (const entry of dirHandle.values()) {
+            if (entry.kind === 'file' && MANIFEST_FILE_NAMES.includes(entry.name.toLowerCase())) {
+                manifestFiles.set(entry.name.toLowerCase(), entry);
+            }
+        }
+
+        const fileName = MANIFEST_FILE_NAMES.find(name => manifestFiles.has(name));
+        if (!fileName) return null;
+
+        const manifestHandle = manifestFiles.get(fileName);
+        let data;
+        try {
+            const text = await (await manifestHandle.getFile()).text();
+            data = fileName.endsWith('.json') ? JSON.parse(text) : this.parseManifestYaml(text);
+        } catch (error) {
+            // A broken manifest is reported, the course still loads from its folder names
+            await this.showModal(`${manifestHandle.name} could not be read and was ignored:\n${error.message}`, 'Course Manifest');
+            return null;
+        }
+
+        const { manifest, errors } = this.validateCourseManifest(data);
+        if (errors.length > 0) {
+            const more = errors.length > 10 ? `\n...and ${errors.length - 10} more` : '';
+            await this.showModal(`Some entries in ${manifestHandle.name} were ignored:\n\n${errors.slice(0, 10).join('\n')}${more}`, 'Course Manifest');
+        }
+        return manifest;
+    }
+
+    getManifestDetails(manifest) {
+        // Course details kept in the library entry, the folder name stays its name
+        return {
+            title: manifest ? manifest.title : null,
+            description: manifest ? manifest.description : null,
+            author: manifest ? manifest.author : null
+        };
+    }
+
+    getCourseTitle(courseData) {
+        return courseData.title || courseData.name;
+    }
+
+    validateCourseManifest(data) {
+        // Invalid entries are dropped with an error each, everything else is kept
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+        const errors = [];
+        const manifest = { title: null, description: null, author: null, order: [], hidden: [], sections: {}, lessons: {} };
+
+        if (!isObject(data)) {
+            return { manifest, errors: ['The manifest must be an object of settings'] };
+        }
+
+        const checkFields = (object, allowed, where) => {
+            for (const key of Object.keys(object)) {
+                if (!allowed.includes(key)) errors.push(`${where}: unknown field "${key}"`);
+            }
+        };
+
+        checkFields(data, ['title', 'description', 'author', 'order', 'hidden', 'sections', 'lessons'], 'Manifest');
+
+        for (const key of ['title', 'description', 'author']) {
+            if (data[key] === undefined) continue;
+            if (typeof data[key] === 'string' && data[key].trim()) {
+                manifest[key] = data[key].trim();
+            } else {
+                errors.push(`"${key}" must be a non-empty text`);
+            }
+        }
+
+        for (const key of ['order', 'hidden']) {
+            if (data[key] === undefined) continue;
+            if (isStringList(data[key])) {
+                manifest[key] = data[key];
+            } else {
+                errors.push(`"${key}" must be a list of names`);
+            }
+        }
+
+        if (data.sections !== undefined) {
+            if (!isObject(data.sections)) {
+                errors.push('"sections" must map folder paths to settings');
+            } else {
+                for (const [path, section] of Object.entries(data.sections)) {
+                    const where = `Section "${path}"`;
+                    if (!isObject(section)) {
+                        errors.push(`${where} must be an object of settings`);
+                        continue;
+                    }
+                    checkFields(section, ['title', 'order'], where);
+
+                    const entry = { title: null, order: [] };
+                    if (section.title !== undefined) {
+                        if (typeof section.title === 'string' && section.title.trim()) entry.title = section.title.trim();
+                        else errors.push(`${where}: "title" must be a non-empty text`);
+                    }
+                    if (section.order !== undefined) {
+                        if (isStringList(section.order)) entry.order = section.order;
+                        else errors.push(`${where}: "order" must be a list of names`);
+                    }
+                    manifest.sections[path] = entry;
+                }
+            }
+        }
+
+        if (data.lessons !== undefined) {
+            if (!isObject(data.lessons)) {
+                errors.push('"lessons" must map lesson file paths to settings');
+            } else {
+                for (const [path, lesson] of Object.entries(data.lessons)) {
+                    const where = `Lesson "${path}"`;
+                    if (!isObject(lesson)) {
+                        errors.push(`${where} must be an object of settings`);
+                        continue;
+                    }
+                    checkFields(lesson, ['title', 'links'], where);
+
+                    const entry = { title: null, links: [] };
+                    if (lesson.title !== undefined) {
+                        if (typeof lesson.title === 'string' && lesson.title.trim()) entry.title = lesson.title.trim();
+                        else errors.push(`${where}: "title" must be a non-empty text`);
+                    }
+                    if (lesson.links !== undefined) {
+                        if (!Array.isArray(lesson.links)) {
+                            errors.push(`${where}: "links" must be a list`);
+                        } else {
+                            lesson.links.forEach((link, index) => {
+                                // Only web links, a manifest must not be able to run script URLs
+                                if (isObject(link) && typeof link.url === 'string' && /^https?:\/\//i.test(link.url)) {
+                                    entry.links.push({ title: typeof link.title === 'string' && link.title.trim() ? link.title.trim() : link.url, url: link.url });
+                                } else {
+                                    errors.push(`${where}: link ${index + 1} needs an http(s) "url"`);
+                                }
+                            });
+                        }
+                    }
+                    manifest.lessons[path] = entry;
+                }
+            }
+        }
+
+        return { manifest, errors };
+    }
+
+    parseManifestYaml(text) {
+        // The YAML subset a manifest needs: nested mappings, "- " and [a, b] lists,
+        // quoted or plain scalars and # comments
+        const lines = [];
+        text.split(/\r?\n/).forEach((raw, index) => {
+            const content = this.stripYamlComment(raw).replace(/\s+$/, '');
+            if (!content.trim()) return;
+            if (/^\s*\t/.test(content)) throw new Error(`Line ${index + 1}: tabs can't be used for indentation`);
+            lines.push({ indent: content.search(/\S/), text: content.trim(), number: index + 1 });
+        });
+
+        let position = 0;
+        const isListItem = (line) => line.text === '-' || line.text.startsWith('- ');
+        const keyPattern = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^"'\s][^:]*?)\s*:(?:\s+(.*))?$/;
+
+        const parseBlock = (indent) => (isListItem(lines[position]) ? parseList(indent) : parseMap(indent));
+
+        const parseMap = (indent) => {
+            const result = {};
+            while (position < lines.length && lines[position].indent === indent && !isListItem(lines[position])) {
+                const line = lines[position];
+                const match = line.text.match(keyPattern);
+                if (!match) throw new Error(`Line ${line.number}: expected "key: value"`);
+
+                const key = String(this.parseYamlScalar(match[1]));
+                position++;
+
+                const next = lines[position];
+                if (match[2] !== undefined) {
+                    result[key] = this.parseYamlValue(match[2], line.number);
+                } else if (next && next.indent > indent) {
+                    result[key] = parseBlock(next.indent);
+                } else if (next && next.indent === indent && isListItem(next)) {
+                    // Lists may sit at the same indentation as their key
+                    result[key] = parseList(indent);
+                } else {
+                    result[key] = null;
+                }
+            }
+            if (position < lines.length && lines[position].indent > indent) {
+                throw new Error(`Line ${lines[position].number}: unexpected indentation`);
+            }
+            return result;
+        };
+
+        const parseList = (indent) => {
+            const result = [];
+            while (position < lines.length && lines[position].indent === indent && isListItem(lines[position])) {
+                const line = lines[position];
+                const rest = line.text.slice(1).trim();
+
+                if (!rest) {
+                    position++;
+                    const next = lines[position];
+                    result.push(next && next.indent > indent ? parseBlock(next.indent) : null);
+                } else if (keyPattern.test(rest) && !/^[[{]/.test(rest)) {
+                    // "- key: value" starts a mapping indented past the dash
+                    line.indent = indent + line.text.indexOf(rest);
+                    line.text = rest;
+                    result.push(parseMap(line.indent));
+                } else {
+                    position++;
+                    result.push(this.parseYamlValue(rest, line.number));
+                }
+            }
+            return result;
+        };
+
+        if (lines.length === 0) return {};
+        const result = parseBlock(lines[0].indent);
+        if (position < lines.length) {
+            throw new Error(`Line ${lines[position].number}: unexpected indentation`);
+        }
+        return result;
+    }
+
+    stripYamlComment(line) {
+        // A # starts a comment at the line start or after a space, outside quotes
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quote) {
+                if (char === '\\' && quote === '"') i++;
+                else if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+                return line.slice(0, i);
+            }
+        }
+        return line;
+    }
+
+    parseYamlValue(text, lineNumber) {
+        if (text.startsWith('{')) {
+            throw new Error(`Line ${lineNumber}: inline {} mappings are not supported, use indented keys`);
+        }
+        if (!text.startsWith('[')) {
+            return this.parseYamlScalar(text);
+        }
+        if (!text.endsWith(']')) {
+            throw new Error(`Line ${lineNumber}: unclosed [ list`);
+        }
+
+        // Split the inline list on commas outside quotes
+        const items = [];
+        let current = '';
+        let quote = null;
+        for (const char of text.slice(1, -1)) {
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === ',') {
+                items.push(current);
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+        items.push(current);
+
+        return items.map(item => item.trim()).filter(Boolean).map(item => this.parseYamlScalar(item));
+    }
+
+    parseYamlScalar(text) {
+        if (text.startsWith('"')) return JSON.parse(text);
+        if (text.startsWith("'")) return text.slice(1, -1).replace(/''/g, "'");
+        if (text === 'true' || text === 'false') return text === 'true';
+        if (text === 'null' || text === '~') return null;
+        if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+        return text;
+    }
+
+    getManifestOrder(items, order, getName) {
+        // Names listed in the manifest come first in its order, the rest keep their natural order
+        if (!order || order.length === 0) return items;
+
+        const rank = (item) => {
+            const index = order.indexOf(getName(item));
+            return index === -1 ? order.length : index;
+        };
+        return items.sort((a, b) => rank(a) - rank(b));
+    }
+
+
+    getDurationCacheKey(lesson) {
+        return `${lesson.id}|${lesson.fingerprint.size}|${lesson.fingerprint.lastModified}`;
+    }
+
+    async applyCachedDurations(structure) {
+        const lessons = structure.flatMap(section => section.lessons).filter(lesson => lesson.fingerprint);
+
+        try {
+            const cached = await this.courseDB.getDurations(lessons.map(lesson => this.getDurationCacheKey(lesson)));
+            for (const lesson of lessons) {
+                const key = this.getDurationCacheKey(lesson);
+                if (cached.has(key)) {
+                    lesson.duration = cached.get(key);
+                }
+            }
+        } catch (error) {
+            console.error('Error reading duration cache:', error);
+        }
+
+        this.updateSectionDurations(structure);
+    }
+
+    updateSectionDurations(structure) {
+        for (const section of structure) {
+            section.duration = section.lessons.reduce((sum, lesson) => sum + (lesson.duration || 0), 0);
+        }
+    }
+
+    async probeMissingDurations(structure) {
+        const DURATION_PROBE_CONCURRENCY = 4;
+
+        const pending = [];
+        structure.forEach((section, sectionIndex) => {
+            section.lessons.forEach((lesson, lessonIndex) => {
+                if (lesson.duration === null) {
+                    pending.push({ lesson, sectionIndex, lessonIndex });
+                }
+            });
+        });
+
+        if (pending.length === 0) return;
+
+        await this.runWithConcurrency(pending, DURATION_PROBE_CONCURRENCY, async ({ lesson, sectionIndex, lessonIndex }) => {
+            try {
+                lesson.duration = await this.getVideoDuration(this.getMediaFile(lesson).handle);
+                if (lesson.fingerprint) {
+                    await this.courseDB.saveDuration(this.getDurationCacheKey(lesson), lesson.duration);
+                }
+            } catch (error) {
+                console.error('Error getting duration for', lesson.name, error);
+                lesson.duration = 0;
+            }
+
+            this.updateSectionDurations(structure);
+
+            // The user may have switched course while probing
+            if (this.courseStructure === structure) {
+                this.updateDurationDisplay(sectionIndex, lessonIndex);
+            }
+        });
+
+        if (this.courseStructure === structure) {
+            this.saveCourseProgress(this.currentCourseId);
+            this.renderMobileCourseNav();
+        }
+    }
+
+    updateDurationDisplay(sectionIndex, lessonIndex) {
+        const section = this.courseStructure[sectionIndex];
+        const lesson = section.lessons[lessonIndex];
+
+        const lessonEl = document.querySelector(`#courseNav .lesson-item[data-section-index="${sectionIndex}"][data-lesson-index="${lessonIndex}"]`);
+        if (lessonEl) {
+            lessonEl.querySelector('.lesson-duration').textContent = this.formatDuration(lesson.duration);
+            this.setWatchedIndicator(lessonEl, this.getWatchedShare(lesson.id, lesson.duration));
+        }
+
+        // Refresh the section and every folder enclosing it
+        document.querySelectorAll('#courseNav .section[data-path]').forEach(sectionEl => {
+            const path = sectionEl.dataset.path;
+            if (section.rawName === path || section.rawName.startsWith(`${path}/`)) {
+                const durationEl = sectionEl.querySelector(':scope > .section-header .section-duration');
+                durationEl.textContent = this.formatDuration(this.getGroupDuration(path));
+            }
+        });
+    }
+
+    async runWithConcurrency(items, limit, worker) {
+        let nextIndex = 0;
+        const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+            while (nextIndex < items.length) {
+                await worker(items[nextIndex++]);
+            }
+        });
+        await Promise.all(runners);
+    }
+
+    generateCourseId() {
+        // Random id, folder names are not unique across courses
+        if (window.crypto && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    async findCourseIdForHandle(dirHandle, structure) {
+        // Folders read from files have no identity, they match a course by name and file fingerprints
+        if (this.isSessionOnlyHandle(dirHandle)) {
+            const candidates = Array.from(this.courseLibrary.entries())
+                .filter(([, courseData]) => courseData.name === dirHandle.name);
+            if (candidates.length === 0) return null;
+
+            const lessons = structure.flatMap(section => section.lessons).filter(lesson => lesson.fingerprint);
+            for (const [courseId] of candidates) {
+                const { fingerprints = {} } = this.getProgressData(courseId) || {};
+                const matches = lessons.some(lesson => {
+                    const fingerprint = fingerprints[lesson.id];
+                    return fingerprint && fingerprint.size === lesson.fingerprint.size &&
+                        fingerprint.lastModified === lesson.fingerprint.lastModified;
+                });
+                if (matches) return courseId;
+            }
+
+            // Same name but no file in common, only the user can tell whether it's the same course
+            const [courseId, courseData] = candidates[0];
+            const sameCourse = await this.showModal(
+                `Your library already has a course named "${courseData.name}", but its files don't match this folder.\n\nIs this the same course? Its progress will be shared.`,
+                'Same Course?',
+                true,
+                { confirmText: 'SAME COURSE', cancelText: 'NEW COURSE' }
+            );
+            return sameCourse === true ? courseId : null;
+        }
+
+        for (const courseId of this.courseLibrary.keys()) {
+            try {
+                const storedHandle = await this.courseDB.getHandle(courseId);
+                if (storedHandle && await storedHandle.isSameEntry(dirHandle)) {
+                    return courseId;
+                }
+            } catch (error) {
+                // Stale handle, it can't be the same entry
+            }
+        }
+        return null;
+    }
+
+    getLessonId(sectionIndex, lessonIndex) {
+        return this.courseStructure[sectionIndex].lessons[lessonIndex].id;
+    }
+
+    findLessonById(lessonId) {
+        for (let sectionIndex = 0; sectionIndex < this.courseStructure.length; sectionIndex++) {
+            const lessonIndex = this.courseStructure[sectionIndex].lessons.findIndex(l => l.id === lessonId);
+            if (lessonIndex !== -1) {
+                return { sectionIndex, lessonIndex };
+            }
+        }
+        return null;
+    }
+
+    getCompletedCount() {
+        // Only count lessons that still exist, progress may hold ids of removed files
+        return this.courseStructure.reduce((sum, section) =>
+            sum + section.lessons.filter(lesson => this.completedLessons.has(lesson.id)).length, 0);
+    }
+
+    extractLessonNumber(filename) {
+        const match = filename.match(/^(\d+)\./);
+        return match ? match[1] : '0';
+    }
+
+    cleanSectionName(name) {
+        // Remove leading numbers and dots
+        return name.replace(/^\d+\.\s*/, '');
+    }
+
+    getSectionTitle(section) {
+        // Nested sections carry their enclosing folders, e.g. "Module 1 / Week 2"
+        return [...section.groups, section.name].join(' / ');
+    }
+
+    cleanLessonName(filename) {
+        // Remove leading numbers, file extension, and clean up
+        return filename
+            .replace(/^\d+\.\s*/, '')
+            .replace(/\.(mp4|webm|mkv|mov|m4v|mp3|m4a|pdf|html|txt|vtt|srt|zip|odp)$/i, '')
+            .trim();
+    }
+
+    getFileType(filename) {
+        // Chapter lists share the .vtt extension with subtitles
+        if (/\.chapters\.vtt$/i.test(filename)) return 'chapters';
+
+        const ext = filename.split('.').pop().toLowerCase();
+        const typeMap = {
+            'mp4': 'video',
+            'webm': 'video',
+            'mkv': 'video',
+            'mov': 'video',
+            'm4v': 'video',
+            'mp3': 'audio',
+            'm4a': 'audio',
+            'vtt': 'subtitle',
+            'srt': 'subtitle',
+            'pdf': 'pdf',
+            'html': 'html',
+            'htm': 'html',
+            'txt': 'text',
+            'md': 'text',
+            'csv': 'text',
+            'json': 'text',
+            'zip': 'archive',
+            'odp': 'presentation'
+        };
+        return typeMap[ext] || 'file';
+    }
+
+    getMimeType(filename) {
+        const ext = filename.split('.').pop().toLowerCase();
+        const mimeMap = {
+            'mp4': 'video/mp4',
+            'webm': 'video/webm',
+            'mkv': 'video/x-matroska',
+            'mov': 'video/quicktime',
+            'm4v': 'video/x-m4v',
+            'mp3': 'audio/mpeg',
+            'm4a': 'audio/mp4'
+        };
+        return mimeMap[ext] || '';
+    }
+
+    getMediaFile(lesson) {
+        // The playable file of a lesson: its video, or its audio for audio-only lessons
+        return lesson.files.find(f => f.type === 'video' || f.type === 'audio');
+    }
+
+    canPlayMedia(mediaFile) {
+        const element = document.createElement(mediaFile.type === 'audio' ? 'audio' : 'video');
+        return element.canPlayType(this.getMimeType(mediaFile.name)) !== '';
+    }
+
+    escapeHtml(text) {
+        // File and folder names may contain markup characters, they are shown as text
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    getFileExtension(filename) {
+        return filename.includes('.') ? filename.split('.').pop().toUpperCase() : '';
+    }
+
+    detectSubtitleLanguage(subtitleName, mediaName) {
+        const subtitleStem = subtitleName.replace(/\.[^.]+$/, '');
+        const mediaStem = mediaName ? mediaName.replace(/\.[^.]+$/, '') : '';
+
+        // "1. Intro.es.vtt" next to "1. Intro.mp4" -> "es", otherwise fall back to the last dotted part
+        let candidate = '';
+        if (mediaStem && subtitleStem.startsWith(mediaStem + '.')) {
+            candidate = subtitleStem.slice(mediaStem.length + 1);
+        } else if (subtitleStem.includes('.')) {
+            candidate = subtitleStem.split('.').pop();
+        }
+
+        if (!/^[a-z]{2,3}([-_][a-z0-9]{2,4})?$/i.test(candidate)) {
+            return { code: '', label: 'Subtitles' };
+        }
+
+        const code = candidate.replace('_', '-');
+        let label = code;
+        try {
+            label = new Intl.DisplayNames([navigator.language || 'en'], { type: 'language' }).of(code) || code;
+        } catch (error) {
+            // Unknown language code, keep the raw code as label
+        }
+        return { code, label };
+    }
+
+    convertSrtToVtt(srtText) {
+        const body = srtText
+            .replace(/^\uFEFF/, '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2');
+        return `WEBVTT\n\n${body}`;
+    }
+
+    async getSubtitleUrl(subtitleFile) {
+        const fileData = await subtitleFile.handle.getFile();
+
+        if (!subtitleFile.name.toLowerCase().endsWith('.srt')) {
+            return URL.createObjectURL(fileData);
+        }
+
+        // Browsers only understand WebVTT tracks, convert SRT on the fly
+        const vttText = this.convertSrtToVtt(await fileData.text());
+        return URL.createObjectURL(new Blob([vttText], { type: 'text/vtt' }));
+    }
+
+    naturalSort(a, b) {
+        return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+    }
+
+    async getVideoDuration(videoHandle) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                const file = await videoHandle.getFile();
+                const url = URL.createObjectURL(file);
+                const video = document.createElement('video');
+                video.preload = 'metadata';
+
+                // Release the element's decoder, several probes run in parallel
+                const cleanup = () => {
+                    URL.revokeObjectURL(url);
+                    video.removeAttribute('src');
+                    video.load();
+                };
+
+                video.addEventListener('loadedmetadata', () => {
+                    const duration = video.duration;
+                    cleanup();
+                    resolve(duration);
+                });
+
+                video.addEventListener('error', () => {
+                    cleanup();
+                    reject(new Error('Failed to load video metadata'));
+                });
+
+                video.src = url;
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    formatDuration(seconds) {
+        if (!seconds || seconds === 0) return '0:00';
+
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = Math.floor(seconds % 60);
+
+        if (hours > 0) {
+            return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+        }
+        return `${minutes}:${secs.toString().padStart(2, '0')}`;
+    }
+
+    renderCourseNavigation() {
+        const courseTitle = document.getElementById('courseTitle');
+        const courseNav = document.getElementById('courseNav');
+
+        courseTitle.textContent = this.courseName;
+        courseNav.innerHTML = '';
+
+        const tree = this.buildNavTree();
+
+        // Lessons in the course root come first, as a regular section
+        if (tree.sectionIndex !== null) {
+            courseNav.appendChild(this.renderNavNode({ ...tree, children: new Map() }));
+        }
+
+        tree.children.forEach(node => {
+            courseNav.appendChild(this.renderNavNode(node));
+        });
+    }
+
+    buildNavTree() {
+        // Folder tree of the course; a node has a section when its folder holds lessons
+        const root = { name: '', path: '', children: new Map(), sectionIndex: null };
+
+        this.courseStructure.forEach((section, sectionIndex) => {
+            const parts = section.rawName ? section.rawName.split('/') : [];
+            let node = root;
+
+            parts.forEach((part, depth) => {
+                if (!node.children.has(part)) {
+                    node.children.set(part, {
+                        name: depth < section.groups.length ? section.groups[depth] : section.name,
+                        path: parts.slice(0, depth + 1).join('/'),
+                        children: new Map(),
+                        sectionIndex: null
+                    });
+                }
+                node = node.children.get(part);
+            });
+
+            node.sectionIndex = sectionIndex;
+        });
+
+        return root;
+    }
+
+    getGroupDuration(path) {
+        // A folder's duration covers its own lessons and every nested folder
+        return this.courseStructure
+            .filter(section => section.rawName === path || (path && section.rawName.startsWith(`${path}/`)))
+            .reduce((sum, section) => sum + section.duration, 0);
+    }
+
+    renderNavNode(node) {
+        const sectionIndex = node.sectionIndex;
+        const section = sectionIndex !== null ? this.courseStructure[sectionIndex] : null;
+
+        const sectionEl = document.createElement('div');
+        sectionEl.className = 'section';
+        sectionEl.dataset.path = node.path;
+        if (section) {
+            sectionEl.dataset.sectionIndex = sectionIndex;
+        }
+
+        const sectionHeader = document.createElement('div');
+        sectionHeader.className = 'section-header';
+        sectionHeader.innerHTML = `
+            <span class="section-title-group">
+                <span>${this.escapeHtml(section ? section.name : node.name)}</span>
+                <span class="section-duration">${this.formatDuration(this.getGroupDuration(node.path))}</span>
+            </span>
+            <span class="section-toggle">▼</span>
+        `;
+
+        sectionHeader.addEventListener('click', () => {
+            sectionEl.classList.toggle('collapsed');
+        });
+
+        const lessonsContainer = document.createElement('div');
+        lessonsContainer.className = 'section-lessons';
+
+        if (section) {
+            this.renderSectionItems(sectionIndex, lessonsContainer);
+        }
+
+        // Nested folders follow the folder's own lessons
+        node.children.forEach(child => {
+            lessonsContainer.appendChild(this.renderNavNode(child));
+        });
+
+        sectionEl.appendChild(sectionHeader);
+        sectionEl.appendChild(lessonsContainer);
+        return sectionEl;
+    }
+
+    renderSectionItems(sectionIndex, lessonsContainer) {
+        const section = this.courseStructure[sectionIndex];
+
+        section.lessons.forEach((lesson, lessonIndex) => {
+            const lessonId = this.getLessonId(sectionIndex, lessonIndex);
+            const isCompleted = this.completedLessons.has(lessonId);
+
+            const lessonEl = document.createElement('div');
+            lessonEl.className = `lesson-item ${isCompleted ? 'completed' : ''}`;
+            lessonEl.dataset.sectionIndex = sectionIndex;
+            lessonEl.dataset.lessonIndex = lessonIndex;
+
+            const icon = this.getIconForType(this.getMediaFile(lesson).type);
+
+            lessonEl.innerHTML = `
+                <div class="lesson-checkbox"></div>
+                <span class="lesson-icon">${icon}</span>
+                <span class="lesson-name">${this.escapeHtml(lesson.name)}</span>
+                ${this.newLessons.has(lessonId) ? '<span class="lesson-new-badge">New</span>' : ''}
+                <span class="lesson-duration">${lesson.duration === null ? '--:--' : this.formatDuration(lesson.duration)}</span>
+            `;
+
+            this.setWatchedIndicator(lessonEl, this.getWatchedShare(lessonId, lesson.duration));
+
+            lessonEl.addEventListener('click', () => {
+                this.loadLesson(sectionIndex, lessonIndex);
+            });
+
+            lessonsContainer.appendChild(lessonEl);
+        });
+
+        // Section resources (PDFs, documents, archives...)
+        if (section.resources.length > 0) {
+            const resourcesLabel = document.createElement('div');
+            resourcesLabel.className = 'section-resources-label';
+            resourcesLabel.textContent = 'Resources';
+            lessonsContainer.appendChild(resourcesLabel);
+
+            section.resources.forEach((resource, resourceIndex) => {
+                const resourceEl = document.createElement('div');
+                resourceEl.className = 'lesson-item resource-item';
+                resourceEl.dataset.sectionIndex = sectionIndex;
+                resourceEl.dataset.resourceIndex = resourceIndex;
+
+                resourceEl.innerHTML = `
+                    <span class="lesson-icon">${this.getIconForType(resource.type)}</span>
+                    <span class="lesson-name">${this.escapeHtml(resource.name)}</span>
+                    <span class="resource-type">${this.escapeHtml(this.getFileExtension(resource.name))}</span>
+                `;
+
+                resourceEl.addEventListener('click', () => {
+                    this.loadResource(sectionIndex, resourceIndex);
+                });
+
+                lessonsContainer.appendChild(resourceEl);
+            });
+        }
+    }
+
+    getIconForType(type) {
+        const icons = {
+            'video': '🎥',
+            'audio': '🎧',
+            'pdf': '📄',
+            'html': '📝',
+            'text': '📄',
+            'archive': '📦',
+            'presentation': '📊',
+            'file': '📎'
+        };
+        return icons[type] || icons['file'];
+    }
+
+    setupMobileControls() {
+        const mobileMarkCompleteBtn = document.getElementById('mobileMarkCompleteBtn');
+        const mobilePrevBtn = document.getElementById('mobilePrevBtn');
+        const mobileNextBtn = document.getElementById('mobileNextBtn');
+
+        if (!mobileMarkCompleteBtn || !mobilePrevBtn || !mobileNextBtn) return;
+
+        // Update button states based on current lesson
+        const lessonId = this.getLessonId(this.currentLesson.sectionIndex, this.currentLesson.lessonIndex);
+        const isCompleted = this.completedLessons.has(lessonId);
+
+        if (isCompleted) {
+            mobileMarkCompleteBtn.classList.add('completed');
+            document.getElementById('mobileCompleteText').textContent = 'Completed';
+        } else {
+            mobileMarkCompleteBtn.classList.remove('completed');
+            document.getElementById('mobileCompleteText').textContent = 'Mark as Complete';
+        }
+
+        // Mobile mark complete button
+        mobileMarkCompleteBtn.addEventListener('click', () => {
+            this.toggleLessonComplete();
+            // Update mobile button text
+            const lessonId = this.getLessonId(this.currentLesson.sectionIndex, this.currentLesson.lessonIndex);
+            if (this.completedLessons.has(lessonId)) {
+                mobileMarkCompleteBtn.classList.add('completed');
+                document.getElementById('mobileCompleteText').textContent = 'Completed';
+            } else {
+                mobileMarkCompleteBtn.classList.remove('completed');
+                document.getElementById('mobileCompleteText').textContent = 'Mark as Complete';
+            }
+        });
+
+        // Mobile navigation buttons
+        mobilePrevBtn.addEventListener('click', () => this.navigateLesson(-1));
+        mobileNextBtn.addEventListener('click', () => this.navigateLesson(1));
+
+        // Update button states
+        this.updateMobileNavigationButtons();
+    }
+
+    updateMobileNavigationButtons() {
+        const mobilePrevBtn = document.getElementById('mobilePrevBtn');
+        const mobileNextBtn = document.getElementById('mobileNextBtn');
+
+        if (!mobilePrevBtn || !mobileNextBtn || !this.currentLesson) return;
+
+        mobilePrevBtn.disabled = !this.getAdjacentLesson(-1);
+        mobileNextBtn.disabled = !this.getAdjacentLesson(1);
+    }
+
+    renderMobileCourseNav() {
+        const mobileCourseNav = document.getElementById('mobileCourseNav');
+        if (!mobileCourseNav) return;
+
+        mobileCourseNav.innerHTML = '';
+
+        // Add course title
+        const titleEl = document.createElement('h3');
+        titleEl.style.cssText = 'font-size: 1rem; font-weight: 700; margin-bottom: 1rem; color: var(--spotify-white);';
+        titleEl.textContent = this.courseName;
+        mobileCourseNav.appendChild(titleEl);
+
+        // Render sections and lessons
+        this.courseStructure.forEach((section, sectionIndex) => {
+            const sectionEl = document.createElement('div');
+            sectionEl.style.marginBottom = '1rem';
+
+            const sectionHeader = document.createElement('div');
+            sectionHeader.style.cssText = 'padding: 0.75rem; background: var(--spotify-base); border-radius: 4px; font-weight: 700; font-size: 0.75rem; text-transform: uppercase; letter-spacing: 1px; color: var(--spotify-gray); cursor: pointer; display: flex; justify-content: space-between; align-items: center; gap: 0.5rem;';
+            sectionHeader.innerHTML = `
+                <span style="flex: 1;">${this.escapeHtml(this.getSectionTitle(section))}</span>
+                <span style="font-size: 0.7rem; font-weight: 400; color: var(--spotify-subdued);">${this.formatDuration(section.duration)}</span>
+                <span class="mobile-section-toggle">▼</span>
+            `;
+
+            const lessonsContainer = document.createElement('div');
+            lessonsContainer.className = 'mobile-section-lessons';
+            lessonsContainer.style.cssText = 'margin-top: 0.5rem; display: block;';
+
+            section.lessons.forEach((lesson, lessonIndex) => {
+                const lessonId = this.getLessonId(sectionIndex, lessonIndex);
+                const isCompleted = this.completedLessons.has(lessonId);
+                const isActive = this.currentLesson &&
+                                this.currentLesson.sectionIndex === sectionIndex &&
+                                this.currentLesson.lessonIndex === lessonIndex;
+
+                const lessonEl = document.createElement('div');
                 lessonEl.style.cssText = `padding: 0.75rem; cursor: pointer; display: flex; align-items: center; gap: 0.75rem; font-size: 0.875rem; color: ${isActive ? 'var(--spotify-white)' : 'var(--spotify-gray)'}; background: ${isActive ? 'var(--spotify-base)' : 'transparent'}; border-radius: 4px; margin-bottom: 0.25rem; font-weight: ${isActive ? '600' : '400'};`;
 
-                const checkbox = document.createElement('div');
-                checkbox.style.cssText = `width: 18px; height: 18px; border: 2px solid ${isCompleted ? 'var(--spotify-green)' : 'var(--spotify-subdued)'}; border-radius: 4px; flex-shrink: 0; display: flex; align-items: center; justify-content: center; background: ${isCompleted ? 'var(--spotify-green)' : 'transparent'};`;
-                if (isCompleted) {
-                    checkbox.innerHTML = '<span style="color: var(--spotify-black); font-size: 0.7rem; font-weight: 900;">✓</span>';
-                }
+                const checkbox = document.createElement('div');
+                checkbox.style.cssText = `width: 18px; height: 18px; border: 2px solid ${isCompleted ? 'var(--spotify-green)' : 'var(--spotify-subdued)'}; border-radius: 4px; flex-shrink: 0; display: flex; align-items: center; justify-content: center; background: ${isCompleted ? 'var(--spotify-green)' : 'transparent'};`;
+                if (isCompleted) {
+                    checkbox.innerHTML = '<span style="color: var(--spotify-black); font-size: 0.7rem; font-weight: 900;">✓</span>';
+                }
+
+                const icon = document.createElement('span');
+                icon.textContent = this.getIconForType(this.getMediaFile(lesson).type);
+                icon.style.cssText = 'font-size: 1.1rem; opacity: 0.7;';
+
+                const name = document.createElement('span');
+                name.textContent = lesson.name;
+                name.style.cssText = 'flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+
+                const duration = document.createElement('span');
+                duration.textContent = lesson.duration === null ? '--:--' : this.formatDuration(lesson.duration);
+                duration.style.cssText = 'font-size: 0.75rem; color: var(--spotify-subdued); opacity: 0.8;';
+
+                lessonEl.appendChild(checkbox);
+                lessonEl.appendChild(icon);
+                lessonEl.appendChild(name);
+                lessonEl.appendChild(duration);
+
+                lessonEl.addEventListener('click', () => {
+                    this.loadLesson(sectionIndex, lessonIndex);
+                });
+
+                lessonsContainer.appendChild(lessonEl);
+            });
+
+            section.resources.forEach((resource, resourceIndex) => {
+                const resourceEl = document.createElement('div');
+                resourceEl.style.cssText = 'padding: 0.75rem; cursor: pointer; display: flex; align-items: center; gap: 0.75rem; font-size: 0.875rem; color: var(--spotify-gray); border-radius: 4px; margin-bottom: 0.25rem;';
+
+                const icon = document.createElement('span');
+                icon.textContent = this.getIconForType(resource.type);
+                icon.style.cssText = 'font-size: 1.1rem; opacity: 0.7;';
+
+                const name = document.createElement('span');
+                name.textContent = resource.name;
+                name.style.cssText = 'flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+
+                resourceEl.appendChild(icon);
+                resourceEl.appendChild(name);
+
+                resourceEl.addEventListener('click', () => {
+                    this.loadResource(sectionIndex, resourceIndex);
+                });
+
+                lessonsContainer.appendChild(resourceEl);
+            });
+
+            sectionHeader.addEventListener('click', () => {
+                const toggle = sectionHeader.querySelector('.mobile-section-toggle');
+                if (lessonsContainer.style.display === 'none') {
+                    lessonsContainer.style.display = 'block';
+                    toggle.textContent = '▼';
+                } else {
+                    lessonsContainer.style.display = 'none';
+                    toggle.textContent = '▶';
+                }
+            });
+
+            sectionEl.appendChild(sectionHeader);
+            sectionEl.appendChild(lessonsContainer);
+            mobileCourseNav.appendChild(sectionEl);
+        });
+    }
+
+    async loadLesson(sectionIndex, lessonIndex) {
+        const section = this.courseStructure[sectionIndex];
+        const lesson = section.lessons[lessonIndex];
+
+        this.currentLesson = { sectionIndex, lessonIndex };
+        this.clearLoop();
+
+        // Save last viewed lesson
+        this.saveLastSession();
+
+        // Update active state
+        document.querySelectorAll('.lesson-item').forEach(el => el.classList.remove('active'));
+        const lessonEl = document.querySelector(`[data-section-index="${sectionIndex}"][data-lesson-index="${lessonIndex}"]`);
+        if (lessonEl) lessonEl.classList.add('active');
+
+        // Opening a new lesson clears its badge
+        if (this.newLessons.delete(lesson.id)) {
+            this.saveCourseProgress(this.currentCourseId);
+            const badge = lessonEl && lessonEl.querySelector('.lesson-new-badge');
+            if (badge) badge.remove();
+        }
+
+        // Update lesson title
+        document.getElementById('lessonTitle').textContent = lesson.name;
+        this.renderLessonLinks(lesson.links || []);
+
+        // Update complete button
+        const lessonId = this.getLessonId(sectionIndex, lessonIndex);
+        const markCompleteBtn = document.getElementById('markCompleteBtn');
+        markCompleteBtn.style.display = '';
+        if (this.completedLessons.has(lessonId)) {
+            markCompleteBtn.classList.add('completed');
+            markCompleteBtn.innerHTML = `
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polyline points="20 6 9 17 4 12"></polyline>
+                </svg>
+                COMPLETED
+            `;
+        } else {
+            markCompleteBtn.classList.remove('completed');
+            markCompleteBtn.innerHTML = `
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polyline points="20 6 9 17 4 12"></polyline>
+                </svg>
+                MARK COMPLETE
+            `;
+        }
+
+        // Update navigation buttons
+        this.updateNavigationButtons();
+
+        // Load content
+        await this.renderLessonContent(lesson);
+    }
+
+    async renderLessonContent(lesson) {
+        const lessonBody = document.getElementById('lessonBody');
+        lessonBody.innerHTML = '<div class="loading"></div>';
+
+        try {
+            // Only process media files (subtitles are included automatically)
+            const videoFile = this.getMediaFile(lesson);
+            const subtitleFiles = lesson.files.filter(f => f.type === 'subtitle');
+
+            // Chapters are read before rendering, the timeline marks them
+            this.currentChapters = await this.loadChapters(lesson);
+
+            if (videoFile) {
+                const mimeType = this.getMimeType(videoFile.name);
+                const isPlayable = this.canPlayMedia(videoFile);
+                const videoUrl = isPlayable ? URL.createObjectURL(await videoFile.handle.getFile()) : null;
+                const lessonId = this.getLessonId(this.currentLesson.sectionIndex, this.currentLesson.lessonIndex);
+                const savedTime = this.videoProgress[this.currentCourseId]?.[lessonId] || 0;
+
+                // Seek bar with bookmark ticks and frame previews on hover
+                const timeline = `
+                    <div class="player-timeline" id="playerTimeline">
+                        <div class="timeline-bar">
+                            <div class="timeline-buffered" id="timelineBuffered"></div>
+                            <div class="timeline-played" id="timelinePlayed"></div>
+                            <div class="loop-region" id="loopRegion" hidden></div>
+                        </div>
+                        <div class="chapter-track" id="chapterTrack"></div>
+                        <div class="bookmark-track" id="bookmarkTrack"></div>
+                        <div class="timeline-preview" id="timelinePreview">
+                            <div class="timeline-preview-frame" id="timelinePreviewFrame"></div>
+                            <span class="timeline-preview-chapter" id="timelinePreviewChapter"></span>
+                            <span class="timeline-preview-time" id="timelinePreviewTime">0:00</span>
+                        </div>
+                    </div>
+                `;
+
+                // Control bar replacing the browser's own controls
+                const controls = `
+                    <div class="player-controls" id="playerControls">
+                        <button class="player-btn" id="playPauseBtn" title="Play">${PLAYER_ICONS.play}</button>
+                        <div class="player-volume">
+                            <button class="player-btn" id="muteBtn" title="Mute">${PLAYER_ICONS.volume}</button>
+                            <input type="range" class="volume-slider" id="volumeSlider" min="0" max="1" step="0.05" aria-label="Volume">
+                        </div>
+                        <span class="player-time" id="playerTime">0:00 / 0:00</span>
+                        <span class="player-chapter" id="playerChapter"></span>
+                        <select class="player-select" id="speedSelect" aria-label="Playback speed" title="Playback speed">
+                            ${PLAYBACK_RATES.map(rate => `<option value="${rate}">${rate}x</option>`).join('')}
+                        </select>
+                        ${subtitleFiles.length > 0 ? '<select class="player-select" id="captionsSelect" aria-label="Captions" title="Captions"></select>' : ''}
+                        ${videoFile.type === 'video' ? `<button class="player-btn" id="setCoverBtn" title="Use this frame as the course cover">${PLAYER_ICONS.cover}</button>` : ''}
+                        ${videoFile.type === 'video' ? `<button class="player-btn" id="fullscreenBtn" title="Fullscreen">${PLAYER_ICONS.fullscreen}</button>` : ''}
+                    </div>
+                `;
+
+                const endOverlay = `
+                    <div class="video-end-overlay" id="videoEndOverlay" style="display: none;">
+                        <div class="video-end-content">
+                            <div class="video-end-icon">✓</div>
+                            <h3>${videoFile.type === 'audio' ? 'Audio' : 'Video'} Complete!</h3>
+                            <div class="video-end-actions">
+                                <button class="btn-primary" id="markCompleteNextBtn">
+                                    <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                        <polyline points="20 6 9 17 4 12"></polyline>
+                                    </svg>
+                                    Mark Complete & Next
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                `;
+
+                let player;
+                if (!isPlayable) {
+                    player = `
+                        <div class="video-container media-unsupported">
+                            <div class="empty-state">
+                                <svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                                    <circle cx="12" cy="12" r="10"></circle>
+                                    <line x1="4.93" y1="4.93" x2="19.07" y2="19.07"></line>
+                                </svg>
+                                <p>This format (${this.getFileExtension(videoFile.name)}) cannot be played in this browser.</p>
+                                <button class="btn-primary" id="mediaDownloadBtn">Download</button>
+                            </div>
+                        </div>
+                    `;
+                } else if (videoFile.type === 'audio') {
+                    // The shared player id is kept so resume, captions and end handling work for both
+                    player = `
+                        <div class="video-container audio-container">
+                            <div class="audio-artwork">
+                                <span class="audio-artwork-icon">🎧</span>
+                                <p>${this.escapeHtml(lesson.name)}</p>
+                            </div>
+                            <audio id="videoPlayer">
+                                <source src="${videoUrl}" type="${mimeType}">
+                                Your browser does not support the audio tag.
+                            </audio>
+                            ${timeline}
+                            ${controls}
+                            ${endOverlay}
+                        </div>
+                    `;
+                } else {
+                    player = `
+                        <div class="video-container">
+                            <video id="videoPlayer" playsinline>
+                                <source src="${videoUrl}" type="${mimeType}">
+                                Your browser does not support the video tag.
+                            </video>
+                            ${timeline}
+                            ${controls}
+                            ${endOverlay}
+                        </div>
+                    `;
+                }
+
+                const content = `
+                    <div class="lesson-workspace">
+                        <!-- Shared Media Player -->
+                        <div class="video-wrapper-shared">
+                            ${player}
+                        </div>
+
+                        ${isPlayable ? this.renderLessonPanel(subtitleFiles.length > 0) : ''}
+                    </div>
+
+                    <!-- Mobile Lesson Title and Controls -->
+                    <div class="mobile-lesson-title" id="mobileLessonTitle">${this.escapeHtml(lesson.name)}</div>
+                    <div class="mobile-video-controls">
+                        <button id="mobileMarkCompleteBtn" class="btn-complete">
+                            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <polyline points="20 6 9 17 4 12"></polyline>
+                            </svg>
+                            <span id="mobileCompleteText">Mark as Complete</span>
+                        </button>
+                        <div class="mobile-nav-buttons">
+                            <button id="mobilePrevBtn" class="btn-nav">
+                                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <polyline points="15 18 9 12 15 6"></polyline>
+                                </svg>
+                                Previous
+                            </button>
+                            <button id="mobileNextBtn" class="btn-nav">
+                                Next
+                                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <polyline points="9 18 15 12 9 6"></polyline>
+                                </svg>
+                            </button>
+                        </div>
+                    </div>
+
+                    <!-- Mobile Course Navigation -->
+                    <div class="mobile-course-nav" id="mobileCourseNav"></div>
+                `;
+
+                lessonBody.innerHTML = content;
+
+                // Render mobile course navigation (only visible on mobile)
+                this.renderMobileCourseNav();
+
+                // Setup mobile navigation buttons
+                this.setupMobileControls();
+
+                // Offer the file for download when the browser can't play it
+                const mediaDownloadBtn = document.getElementById('mediaDownloadBtn');
+                if (mediaDownloadBtn) {
+                    mediaDownloadBtn.addEventListener('click', () => this.downloadFile(videoFile));
+                }
+
+                // Setup single shared video player
+                const videoPlayer = document.getElementById('videoPlayer');
+                const videoEndOverlay = document.getElementById('videoEndOverlay');
+                const markCompleteNextBtn = document.getElementById('markCompleteNextBtn');
+
+                // Prepare subtitle tracks if available
+                const subtitleTracks = [];
+                for (const subtitleFile of subtitleFiles) {
+                    subtitleTracks.push({
+                        ...this.detectSubtitleLanguage(subtitleFile.name, videoFile.name),
+                        url: await this.getSubtitleUrl(subtitleFile)
+                    });
+                }
+
+                if (videoPlayer) {
+                    this.setupLessonPanel(videoPlayer, lessonId);
+
+                    // Jump to a requested time (bookmarks, notes...) instead of resuming
+                    const pendingSeekTime = this.pendingSeekTime;
+                    this.pendingSeekTime = null;
+
+                    if (pendingSeekTime !== null) {
+                        videoPlayer.addEventListener('loadedmetadata', () => {
+                            videoPlayer.currentTime = pendingSeekTime;
+                        }, { once: true });
+                    } else if (savedTime > 0) {
+                        // Restore video position (but not if already completed)
+                        videoPlayer.addEventListener('loadedmetadata', () => {
+                            if (savedTime < videoPlayer.duration - 5) {
+                                videoPlayer.currentTime = savedTime;
+                            }
+                        }, { once: true });
+                    }
+
+                    // Save video progress periodically
+                    videoPlayer.addEventListener('timeupdate', () => {
+                        if (!this.videoProgress[this.currentCourseId]) {
+                            this.videoProgress[this.currentCourseId] = {};
+                        }
+                        this.videoProgress[this.currentCourseId][lessonId] = videoPlayer.currentTime;
+                        this.saveVideoProgress(this.currentCourseId);
+
+                        // Jump back to the loop start once playback passes its end
+                        this.checkLoop(videoPlayer);
+                    });
+
+                    // Track which parts were actually watched, for partial progress and auto-completion
+                    this.trackWatchedCoverage(videoPlayer, lessonId);
+
+                    // Custom seek bar, its previews come from a storyboard made in the background
+                    this.setupTimeline(videoPlayer);
+                    this.loadStoryboard(lesson);
+
+                    // Handle video end, a loop ending with the video starts over instead
+                    videoPlayer.addEventListener('ended', () => {
+                        if (this.checkLoop(videoPlayer)) return;
+                        this.handleVideoEnd();
+                    });
+
+                    // Add subtitles if available, one track per language
+                    if (subtitleTracks.length > 0) {
+                        const { enabled, language } = this.captionPreference;
+                        const preferredIndex = Math.max(0, subtitleTracks.findIndex(t => t.code === language));
+
+                        subtitleTracks.forEach((subtitle, index) => {
+                            const track = document.createElement('track');
+                            track.kind = 'subtitles';
+                            track.label = subtitle.label;
+                            if (subtitle.code) track.srclang = subtitle.code;
+                            track.src = subtitle.url;
+                            track.default = enabled && index === preferredIndex;
+                            videoPlayer.appendChild(track);
+                        });
+
+                        // Apply caption preference, only the preferred language may be showing
+                        Array.from(videoPlayer.textTracks).forEach((textTrack, index) => {
+                            if (index === preferredIndex) {
+                                textTrack.mode = enabled ? 'showing' : 'hidden';
+                            } else {
+                                textTrack.mode = 'disabled';
+                            }
+                        });
+
+                        // Listen for caption changes by user
+                        videoPlayer.textTracks.addEventListener('change', () => {
+                            const showingTrack = Array.from(videoPlayer.textTracks).find(t => t.mode === 'showing');
+                            if (showingTrack) {
+                                this.saveCaptionPreference(true, showingTrack.language);
+                            } else {
+                                this.saveCaptionPreference(false);
+                            }
+                        });
+                    }
+
+                    // Control bar, speed and volume are remembered per course
+                    this.setupPlayerControls(videoPlayer);
+
+                    // Auto-play if flag is set
+                    if (this.shouldAutoPlay) {
+                        setTimeout(() => {
+                            videoPlayer.play().catch(err => {
+                                console.log('Auto-play prevented by browser:', err);
+                            });
+                        }, 100);
+                    }
+                }
+
+                // Reset auto-play flag after setup
+                this.shouldAutoPlay = false;
+
+                // Mark complete & next button
+                if (markCompleteNextBtn) {
+                    markCompleteNextBtn.addEventListener('click', () => {
+                        this.markCompleteAndNext();
+                    });
+                }
+            } else {
+                // No video found (should not happen due to validation)
+                lessonBody.innerHTML = `
+                    <div class="empty-state">
+                        <svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                            <path d="M23 7l-7 5 7 5V7z"></path>
+                            <rect x="1" y="5" width="15" height="14" rx="2" ry="2"></rect>
+                        </svg>
+                        <p>No video or audio found for this lesson</p>
+                    </div>
+                `;
+            }
+
+        } catch (error) {
+            console.error('Error rendering lesson content:', error);
+            lessonBody.innerHTML = `
+                <div class="empty-state">
+                    <svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
+                        <circle cx="12" cy="12" r="10"></circle>
+                        <line x1="12" y1="8" x2="12" y2="12"></line>
+                        <line x1="12" y1="16" x2="12.01" y2="16"></line>
+                    </svg>
+                    <p>Error loading lesson content</p>
+                </div>
+            `;
+        }
+    }
+
+    handleVideoEnd() {
+        const videoEndOverlay = document.getElementById('videoEndOverlay');
+
+        if (!videoEndOverlay) return;
+
+        videoEndOverlay.style.display = 'flex';
+    }
+
+    markCompleteAndNext() {
+        // Mark current lesson as complete
+        if (this.currentLesson) {
+            const { sectionIndex, lessonIndex } = this.currentLesson;
+            const lessonId = this.getLessonId(sectionIndex, lessonIndex);
+
+            if (!this.completedLessons.has(lessonId)) {
+                this.completedLessons.add(lessonId);
+                this.completedDates[lessonId] = Date.now();
+                this.saveCourseProgress(this.currentCourseId);
+                this.updateProgressBar();
+
+                // Update UI
+                const lessonEl = document.querySelector(`[data-section-index="${sectionIndex}"][data-lesson-index="${lessonIndex}"]`);
+                if (lessonEl) {
+                    lessonEl.classList.add('completed');
+                }
+            }
+        }
+
+        // Set flag to auto-play next video
+        this.shouldAutoPlay = true;
+
+        // Navigate to next lesson
+        this.navigateLesson(1);
+    }
+
+    // Player Timeline
+    setupTimeline(videoPlayer) {
+        const timeline = document.getElementById('playerTimeline');
+        const played = document.getElementById('timelinePlayed');
+        const buffered = document.getElementById('timelineBuffered');
+        if (!timeline) return;
+
+        // The previous lesson's frames must not show on this one
+        this.clearStoryboard();
+
+        const updateProgress = () => {
+            const duration = videoPlayer.duration;
+            if (!duration) return;
+
+            played.style.width = `${(videoPlayer.currentTime / duration) * 100}%`;
+            const ranges = videoPlayer.buffered;
+            buffered.style.width = ranges.length > 0 ? `${(ranges.end(ranges.length - 1) / duration) * 100}%` : '0';
+        };
+        ['timeupdate', 'progress', 'durationchange', 'seeked'].forEach(event => {
+            videoPlayer.addEventListener(event, updateProgress);
+        });
+
+        const getTimeAt = (e) => {
+            const rect = timeline.getBoundingClientRect();
+            const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+            return { ratio, time: ratio * (videoPlayer.duration || 0) };
+        };
+
+        // Dragging keeps seeking until the pointer is released, even outside the bar
+        let dragging = false;
+
+        timeline.addEventListener('pointerdown', (e) => {
+            if (!videoPlayer.duration || e.target.closest('.bookmark-tick')) return;
+            dragging = true;
+            timeline.setPointerCapture(e.pointerId);
+            timeline.classList.add('dragging');
+            videoPlayer.currentTime = getTimeAt(e).time;
+        });
+
+        timeline.addEventListener('pointermove', (e) => {
+            if (!videoPlayer.duration) return;
+            const { ratio, time } = getTimeAt(e);
+            this.showTimelinePreview(ratio, time);
+            if (dragging) videoPlayer.currentTime = time;
+        });
+
+        const stopDragging = () => {
+            dragging = false;
+            timeline.classList.remove('dragging');
+        };
+        timeline.addEventListener('pointerup', stopDragging);
+        timeline.addEventListener('pointercancel', stopDragging);
+
+        timeline.addEventListener('pointerleave', () => {
+            if (!dragging) document.getElementById('timelinePreview').classList.remove('visible');
+        });
+    }
+
+    showTimelinePreview(ratio, time) {
+        const timeline = document.getElementById('playerTimeline');
+        const preview = document.getElementById('timelinePreview');
+        const frame = document.getElementById('timelinePreviewFrame');
+        if (!timeline || !preview) return;
+
+        document.getElementById('timelinePreviewTime').textContent = this.formatDuration(time);
+        const chapter = this.getChapterAt(time);
+        document.getElementById('timelinePreviewChapter').textContent = chapter ? chapter.text : '';
+
+        const storyboard = this.storyboard;
+        frame.hidden = !storyboard;
+        if (storyboard) {
+            const index = Math.min(storyboard.count - 1, Math.floor(time / storyboard.interval));
+            frame.style.width = `${storyboard.frameWidth}px`;
+            frame.style.height = `${storyboard.frameHeight}px`;
+            frame.style.backgroundImage = `url("${storyboard.url}")`;
+            frame.style.backgroundSize = `${storyboard.columns * storyboard.frameWidth}px auto`;
+            frame.style.backgroundPosition = `-${(index % storyboard.columns) * storyboard.frameWidth}px -${Math.floor(index / storyboard.columns) * storyboard.frameHeight}px`;
+        }
+
+        // Keep the preview inside the player at both ends of the bar
+        preview.classList.add('visible');
+        const width = timeline.clientWidth;
+        const half = preview.offsetWidth / 2;
+        preview.style.left = `${Math.min(width - half, Math.max(half, ratio * width))}px`;
+    }
+
+    async loadStoryboard(lesson) {
+        // Opening another lesson stops this job, a finished storyboard is still cached
+        const token = {};
+        this.storyboardToken = token;
+        const isCurrent = () => this.storyboardToken === token;
+        const courseId = this.currentCourseId;
+
+        const media = this.getMediaFile(lesson);
+        if (!media || media.type !== 'video' || !lesson.fingerprint || !this.canPlayMedia(media)) return;
+
+        try {
+            // Keyed like the duration cache, so a changed file gets a new storyboard
+            const key = this.getDurationCacheKey(lesson);
+            let storyboard = await this.courseDB.getStoryboard(key);
+
+            if (!storyboard) {
+                storyboard = await this.generateStoryboard(await media.handle.getFile(), isCurrent);
+                if (!storyboard) return;
+                await this.courseDB.saveStoryboard({ key, courseId, lessonId: lesson.id, ...storyboard });
+                await this.courseDB.pruneStoryboards(courseId, lesson.id, key);
+            }
+
+            if (isCurrent()) {
+                this.clearStoryboard();
+                this.storyboard = { ...storyboard, url: URL.createObjectURL(storyboard.blob) };
+            }
+        } catch (error) {
+            console.error('Error creating storyboard for', lesson.name, error);
+        }
+    }
+
+    async generateStoryboard(file, isCurrent) {
+        const url = URL.createObjectURL(file);
+        const video = document.createElement('video');
+        video.preload = 'auto';
+        video.muted = true;
+
+        try {
+            video.src = url;
+            await this.waitForMediaEvent(video, 'loadedmetadata');
+
+            // Streams without a known length report Infinity or NaN
+            const duration = video.duration;
+            if (!Number.isFinite(duration) || duration <= 0 || !video.videoWidth) return null;
+
+            const interval = Math.max(STORYBOARD_MIN_INTERVAL, duration / STORYBOARD_MAX_FRAMES);
+            const count = Math.ceil(duration / interval);
+            const columns = Math.min(STORYBOARD_COLUMNS, count);
+            const frameWidth = STORYBOARD_FRAME_WIDTH;
+            const frameHeight = Math.round(frameWidth * video.videoHeight / video.videoWidth);
+
+            // All frames go into one sprite sheet, row by row
+            const canvas = document.createElement('canvas');
+            canvas.width = columns * frameWidth;
+            canvas.height = Math.ceil(count / columns) * frameHeight;
+            const context = canvas.getContext('2d');
+
+            for (let index = 0; index < count; index++) {
+                if (!isCurrent()) return null;
+
+                // Each frame shows the middle of the stretch it stands for
+                video.currentTime = Math.min(index * interval + interval / 2, duration - 0.1);
+                await this.waitForMediaEvent(video, 'seeked');
+                context.drawImage(video, (index % columns) * frameWidth, Math.floor(index / columns) * frameHeight, frameWidth, frameHeight);
+            }
+
+            const blob = await new Promise((resolve, reject) => {
+                canvas.toBlob(result => (result ? resolve(result) : reject(new Error('Failed to encode the storyboard'))), 'image/jpeg', 0.7);
+            });
+            return { interval, count, columns, frameWidth, frameHeight, blob };
+        } finally {
+            URL.revokeObjectURL(url);
+            video.removeAttribute('src');
+            video.load();
+        }
+    }
+
+    waitForMediaEvent(media, eventName) {
+        return new Promise((resolve, reject) => {
+            const onEvent = () => {
+                media.removeEventListener('error', onError);
+                resolve();
+            };
+            const onError = () => {
+                media.removeEventListener(eventName, onEvent);
+                reject(new Error(`Failed waiting for ${eventName}`));
+            };
+            media.addEventListener(eventName, onEvent, { once: true });
+            media.addEventListener('error', onError, { once: true });
+        });
+    }
+
+    clearStoryboard() {
+        if (this.storyboard) {
+            URL.revokeObjectURL(this.storyboard.url);
+            this.storyboard = null;
+        }
+    }
+
+    // Player Controls
+    setupPlayerControls(videoPlayer) {
+        const container = videoPlayer.closest('.video-container');
+        const playPauseBtn = document.getElementById('playPauseBtn');
+        const muteBtn = document.getElementById('muteBtn');
+        const volumeSlider = document.getElementById('volumeSlider');
+        const speedSelect = document.getElementById('speedSelect');
+        const playerTime = document.getElementById('playerTime');
+        const playerChapter = document.getElementById('playerChapter');
+        if (!playPauseBtn) return;
+
+        // Restore the course's speed and volume before playback starts
+        const courseData = this.courseLibrary.get(this.currentCourseId);
+        const playback = (courseData && courseData.playback) || {};
+        if (playback.rate) {
+            videoPlayer.defaultPlaybackRate = playback.rate;
+            videoPlayer.playbackRate = playback.rate;
+        }
+        if (typeof playback.volume === 'number') videoPlayer.volume = playback.volume;
+        videoPlayer.muted = !!playback.muted;
+
+        const togglePlay = () => (videoPlayer.paused ? videoPlayer.play().catch(() => {}) : videoPlayer.pause());
+        playPauseBtn.addEventListener('click', togglePlay);
+        videoPlayer.addEventListener('click', togglePlay);
+
+        const updatePlayState = () => {
+            playPauseBtn.innerHTML = videoPlayer.paused ? PLAYER_ICONS.play : PLAYER_ICONS.pause;
+            playPauseBtn.title = videoPlayer.paused ? 'Play' : 'Pause';
+            if (container) container.classList.toggle('paused', videoPlayer.paused);
+        };
+        videoPlayer.addEventListener('play', updatePlayState);
+        videoPlayer.addEventListener('pause', updatePlayState);
+        updatePlayState();
+
+        const updateTime = () => {
+            playerTime.textContent = `${this.formatDuration(videoPlayer.currentTime)} / ${this.formatDuration(videoPlayer.duration)}`;
+            const chapter = this.getChapterAt(videoPlayer.currentTime);
+            playerChapter.textContent = chapter ? chapter.text : '';
+        };
+        ['timeupdate', 'durationchange', 'seeked'].forEach(event => videoPlayer.addEventListener(event, updateTime));
+        videoPlayer.addEventListener('loadedmetadata', () => this.renderChapterMarkers(videoPlayer.duration));
+        this.renderChapterMarkers(videoPlayer.duration);
+        updateTime();
+
+        // Volume
+        const updateVolume = () => {
+            const muted = videoPlayer.muted || videoPlayer.volume === 0;
+            muteBtn.innerHTML = muted ? PLAYER_ICONS.muted : PLAYER_ICONS.volume;
+            muteBtn.title = muted ? 'Unmute' : 'Mute';
+            volumeSlider.value = videoPlayer.muted ? 0 : videoPlayer.volume;
+        };
+        muteBtn.addEventListener('click', () => {
+            // Unmuting at zero volume would stay silent
+            if (videoPlayer.volume === 0) videoPlayer.volume = 1;
+            videoPlayer.muted = !videoPlayer.muted;
+        });
+        volumeSlider.addEventListener('input', () => {
+            videoPlayer.volume = Number(volumeSlider.value);
+            videoPlayer.muted = videoPlayer.volume === 0;
+        });
+        videoPlayer.addEventListener('volumechange', () => {
+            updateVolume();
+            this.savePlaybackSettings(videoPlayer);
+        });
+        updateVolume();
+
+        // Speed, the keyboard shortcuts change it too
+        const updateSpeed = () => {
+            const rate = videoPlayer.playbackRate;
+            if (!PLAYBACK_RATES.includes(rate) && !speedSelect.querySelector(`option[value="${rate}"]`)) {
+                speedSelect.insertAdjacentHTML('beforeend', `<option value="${rate}">${rate}x</option>`);
+            }
+            speedSelect.value = String(rate);
+        };
+        speedSelect.addEventListener('change', () => {
+            videoPlayer.playbackRate = Number(speedSelect.value);
+        });
+        videoPlayer.addEventListener('ratechange', () => {
+            updateSpeed();
+            this.savePlaybackSettings(videoPlayer);
+        });
+        updateSpeed();
+
+        this.setupCaptionsMenu(videoPlayer);
+
+        // The paused or playing frame becomes the course cover
+        const setCoverBtn = document.getElementById('setCoverBtn');
+        if (setCoverBtn) {
+            setCoverBtn.addEventListener('click', () => this.setCustomCover(this.currentCourseId, () =>
+                this.drawThumbnail(videoPlayer, videoPlayer.videoWidth, videoPlayer.videoHeight)));
+        }
+
+        // Fullscreen covers the player with its controls, not only the video
+        const fullscreenBtn = document.getElementById('fullscreenBtn');
+        if (fullscreenBtn) {
+            fullscreenBtn.addEventListener('click', () => this.toggleFullscreen(videoPlayer));
+            videoPlayer.addEventListener('dblclick', () => this.toggleFullscreen(videoPlayer));
+            this.updateFullscreenButton();
+        }
+
+        // Controls fade out while the video plays and the pointer rests
+        if (container) {
+            let idleTimer = null;
+            const showControls = () => {
+                container.classList.remove('idle');
+                clearTimeout(idleTimer);
+                idleTimer = setTimeout(() => {
+                    if (!videoPlayer.paused) container.classList.add('idle');
+                }, 2500);
+            };
+            container.addEventListener('pointermove', showControls);
+            videoPlayer.addEventListener('play', showControls);
+            videoPlayer.addEventListener('pause', () => container.classList.remove('idle'));
+        }
+    }
+
+    setupCaptionsMenu(videoPlayer) {
+        const captionsSelect = document.getElementById('captionsSelect');
+        if (!captionsSelect) return;
+
+        const tracks = Array.from(videoPlayer.textTracks).filter(track => track.kind === 'subtitles');
+        captionsSelect.innerHTML = '<option value="off">Captions off</option>' +
+            tracks.map((track, index) => `<option value="${index}">${track.label || track.language || `Track ${index + 1}`}</option>`).join('');
+
+        // Same modes as the captions shortcut, the textTracks change listener saves the preference
+        captionsSelect.addEventListener('change', () => {
+            const selected = captionsSelect.value === 'off' ? null : tracks[Number(captionsSelect.value)];
+            const showing = tracks.find(track => track.mode === 'showing');
+            if (!selected) {
+                if (showing) showing.mode = 'hidden';
+                return;
+            }
+            tracks.forEach(track => {
+                if (track !== selected) track.mode = 'disabled';
+            });
+            selected.mode = 'showing';
+        });
+
+        const updateCaptions = () => {
+            const index = tracks.findIndex(track => track.mode === 'showing');
+            captionsSelect.value = index === -1 ? 'off' : String(index);
+        };
+        videoPlayer.textTracks.addEventListener('change', updateCaptions);
+        updateCaptions();
+    }
+
+    savePlaybackSettings(videoPlayer) {
+        const courseData = this.courseLibrary.get(this.currentCourseId);
+        if (!courseData) return;
+
+        // A loop's slower speed is temporary, the course keeps the speed from before it
+        const loopSpeed = this.activeLoop && this.activeLoop.speed;
+        courseData.playback = {
+            rate: loopSpeed ? this.activeLoop.previousRate : videoPlayer.playbackRate,
+            volume: videoPlayer.volume,
+            muted: videoPlayer.muted
+        };
+        this.saveCourseLibrary();
+    }
+
+    toggleFullscreen(videoPlayer) {
+        const container = videoPlayer.closest('.video-container');
+
+        if (document.fullscreenElement) {
+            document.exitFullscreen().catch(() => {});
+        } else if (container && container.requestFullscreen) {
+            container.requestFullscreen().catch(() => {});
+        } else if (videoPlayer.webkitEnterFullscreen) {
+            // iOS Safari only lets the video element itself go fullscreen
+            videoPlayer.webkitEnterFullscreen();
+        }
+    }
+
+    updateFullscreenButton() {
+        const fullscreenBtn = document.getElementById('fullscreenBtn');
+        if (!fullscreenBtn) return;
+
+        const isFullscreen = !!document.fullscreenElement;
+        fullscreenBtn.innerHTML = isFullscreen ? PLAYER_ICONS.exitFullscreen : PLAYER_ICONS.fullscreen;
+        fullscreenBtn.title = isFullscreen ? 'Exit fullscreen' : 'Fullscreen';
+    }
+
+    async loadChapters(lesson) {
+        const chaptersFile = lesson.files.find(f => f.type === 'chapters');
+        if (!chaptersFile) return [];
+
+        try {
+            const fileData = await chaptersFile.handle.getFile();
+            return this.parseVttCues(await fileData.text());
+        } catch (error) {
+            console.error('Error reading chapters for', lesson.name, error);
+            return [];
+        }
+    }
+
+    getChapterAt(time) {
+        let current = null;
+        for (const chapter of this.currentChapters) {
+            if (chapter.start > time) break;
+            current = chapter;
+        }
+        return current;
+    }
+
+    renderChapterMarkers(duration) {
+        const chapterTrack = document.getElementById('chapterTrack');
+        if (!chapterTrack || !duration) return;
+
+        // The first chapter usually starts at 0, a marker there would sit on the bar's edge
+        chapterTrack.innerHTML = '';
+        for (const chapter of this.currentChapters) {
+            if (chapter.start <= 0 || chapter.start >= duration) continue;
+
+            const marker = document.createElement('span');
+            marker.className = 'chapter-marker';
+            marker.style.left = `${(chapter.start / duration) * 100}%`;
+            marker.title = chapter.text;
+            chapterTrack.appendChild(marker);
+        }
+    }
+
+    // Lesson Panel (notes, bookmarks and transcript next to the player)
+    renderLessonPanel(hasTranscript) {
+        return `
+            <aside class="lesson-panel" id="lessonPanel">
+                <div class="lesson-panel-tabs">
+                    <button class="lesson-panel-tab" data-panel="notes">Notes</button>
+                    <button class="lesson-panel-tab" data-panel="bookmarks">Bookmarks</button>
+                    <button class="lesson-panel-tab" data-panel="loop">Loop</button>
+                    ${hasTranscript ? '<button class="lesson-panel-tab" data-panel="transcript">Transcript</button>' : ''}
+                </div>
+
+                <div class="lesson-panel-pane" data-panel="notes">
+                    <form class="note-form" id="noteForm">
+                        <textarea id="noteInput" rows="3" placeholder="Write a note at the current time..."></textarea>
+                        <div class="note-form-actions">
+                            <span class="note-timestamp" id="noteTimestamp">0:00</span>
+                            <button type="submit" class="btn-primary">Add Note</button>
+                        </div>
+                    </form>
+                    <div class="notes-list" id="notesList"></div>
+                    <button class="btn-nav lesson-panel-footer-btn" id="exportNotesBtn">Export Course Notes</button>
+                </div>
+
+                <div class="lesson-panel-pane" data-panel="bookmarks">
+                    <button class="btn-nav lesson-panel-footer-btn" id="addBookmarkBtn">
+                        Bookmark Current Time
+                        <kbd class="shortcut-hint" data-shortcut="addBookmark"></kbd>
+                    </button>
+                    <div class="bookmarks-list" id="bookmarksList"></div>
+                </div>
+
+                <div class="lesson-panel-pane" data-panel="loop">
+                    <div class="loop-points">
+                        <button class="btn-nav" id="loopStartBtn">
+                            A <span class="loop-point-time" id="loopStartTime">--:--</span>
+                            <kbd class="shortcut-hint" data-shortcut="setLoopStart"></kbd>
+                        </button>
+                        <button class="btn-nav" id="loopEndBtn">
+                            B <span class="loop-point-time" id="loopEndTime">--:--</span>
+                            <kbd class="shortcut-hint" data-shortcut="setLoopEnd"></kbd>
+                        </button>
+                    </div>
+                    <div class="loop-options">
+                        <label>
+                            Repeat
+                            <select id="loopRepeatSelect">
+                                <option value="0">Until stopped</option>
+                                ${[2, 3, 5, 10].map(count => `<option value="${count}">${count} times</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>
+                            Speed
+                            <select id="loopSpeedSelect">
+                                <option value="">Current</option>
+                                ${LOOP_RATES.map(rate => `<option value="${rate}">${rate}x</option>`).join('')}
+                            </select>
+                        </label>
+                    </div>
+                    <button class="btn-primary lesson-panel-footer-btn" id="loopToggleBtn">
+                        <span id="loopToggleText">Start Loop</span>
+                        <kbd class="shortcut-hint" data-shortcut="toggleLoop"></kbd>
+                    </button>
+                    <form class="loop-save-form" id="loopSaveForm">
+                        <input type="text" id="loopNameInput" placeholder="Name this loop..." maxlength="80">
+                        <button type="submit" class="btn-nav">Save</button>
+                    </form>
+                    <div class="loops-list" id="loopsList"></div>
+                </div>
+
+                ${hasTranscript ? `
+                    <div class="lesson-panel-pane" data-panel="transcript">
+                        <div class="transcript-toolbar">
+                            <select class="transcript-language" id="transcriptLanguage"></select>
+                            <button class="btn-nav" id="copyTranscriptBtn">Copy</button>
+                        </div>
+                        <div class="transcript" id="transcript"></div>
+                    </div>
+                ` : ''}
+            </aside>
+        `;
+    }
+
+    setupLessonPanel(videoPlayer, lessonId) {
+        const panel = document.getElementById('lessonPanel');
+        if (!panel) return;
+
+        panel.querySelectorAll('.lesson-panel-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.showLessonPanelTab(tab.dataset.panel));
+        });
+        this.showLessonPanelTab(this.activeLessonPanel);
+
+        this.setupNotes(videoPlayer, lessonId);
+        this.setupBookmarks(videoPlayer);
+        this.setupLoops(videoPlayer, lessonId);
+        this.setupTranscript(videoPlayer);
+        this.updateShortcutHints();
+    }
+
+    // Transcript built from the lesson's subtitle cues, synced to playback
+    async setupTranscript(videoPlayer) {
+        const transcriptEl = document.getElementById('transcript');
+        if (!transcriptEl) return;
+
+        const { sectionIndex, lessonIndex } = this.currentLesson;
+        const section = this.courseStructure[sectionIndex];
+        const lesson = section.lessons[lessonIndex];
+        const mediaName = this.getMediaFile(lesson).name;
+        const subtitles = lesson.files
+            .filter(f => f.type === 'subtitle')
+            .map(file => ({ file, ...this.detectSubtitleLanguage(file.name, mediaName) }));
+
+        const languageSelect = document.getElementById('transcriptLanguage');
+        languageSelect.innerHTML = subtitles.map((subtitle, index) =>
+            `<option value="${index}">${this.escapeHtml(subtitle.label)}</option>`).join('');
+        languageSelect.style.display = subtitles.length > 1 ? '' : 'none';
+
+        let cues = [];
+        let activeIndex = -1;
+        let lastUserScroll = 0;
+        let loadToken = null; // Identifies the latest language load, older results are dropped
+
+        const loadTranscript = async (index) => {
+            const token = {};
+            loadToken = token;
+            languageSelect.value = index;
+            transcriptEl.innerHTML = '<p class="lesson-panel-empty">Loading transcript...</p>';
+
+            let loadedCues;
+            try {
+                loadedCues = await this.loadSubtitleCues(section, subtitles[index].file);
+            } catch (error) {
+                console.error('Error loading transcript:', error);
+                loadedCues = [];
+            }
+
+            // The user may have picked another language or moved on to another lesson meanwhile
+            if (loadToken !== token || !transcriptEl.isConnected) return;
+
+            cues = loadedCues;
+            activeIndex = -1;
+            transcriptEl.innerHTML = '';
+            if (cues.length === 0) {
+                transcriptEl.innerHTML = '<p class="lesson-panel-empty">This subtitle file has no readable cues.</p>';
+                return;
+            }
+
+            cues.forEach((cue, cueIndex) => {
+                // The time is drawn by CSS from data-time, so copied text stays clean
+                const lineEl = document.createElement('p');
+                lineEl.className = 'transcript-line';
+                lineEl.dataset.time = this.formatDuration(cue.start);
+                lineEl.dataset.index = cueIndex;
+                lineEl.textContent = cue.text;
+                transcriptEl.appendChild(lineEl);
+            });
+            highlightCue();
+        };
+
+        const highlightCue = () => {
+            // Last cue that has started, cues are in playback order
+            let index = -1;
+            let low = 0;
+            let high = cues.length - 1;
+            while (low <= high) {
+                const mid = (low + high) >> 1;
+                if (cues[mid].start <= videoPlayer.currentTime) {
+                    index = mid;
+                    low = mid + 1;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            if (index === activeIndex) return;
+
+            const lines = transcriptEl.querySelectorAll('.transcript-line');
+            if (lines[activeIndex]) lines[activeIndex].classList.remove('active');
+            activeIndex = index;
+            if (!lines[index]) return;
+            lines[index].classList.add('active');
+
+            // Follow playback unless the user is reading elsewhere
+            if (Date.now() - lastUserScroll > 3000 && transcriptEl.offsetParent) {
+                transcriptEl.scrollTop = lines[index].offsetTop - transcriptEl.clientHeight / 3;
+            }
+        };
+
+        const preferredIndex = subtitles.findIndex(s => s.code === this.captionPreference.language);
+        await loadTranscript(Math.max(0, preferredIndex));
+
+        languageSelect.addEventListener('change', () => loadTranscript(Number(languageSelect.value)));
+        videoPlayer.addEventListener('timeupdate', highlightCue);
+        videoPlayer.addEventListener('seeked', highlightCue);
+
+        // Follow the caption language picked in the player
+        videoPlayer.textTracks.addEventListener('change', () => {
+            const showingTrack = Array.from(videoPlayer.textTracks).find(t => t.mode === 'showing');
+            const index = showingTrack ? subtitles.findIndex(s => s.code === showingTrack.language) : -1;
+            if (index !== -1 && index !== Number(languageSelect.value)) loadTranscript(index);
+        });
+
+        ['wheel', 'touchmove'].forEach(eventName => {
+            transcriptEl.addEventListener(eventName, () => { lastUserScroll = Date.now(); }, { passive: true });
+        });
+
+        transcriptEl.addEventListener('click', (e) => {
+            const lineEl = e.target.closest('.transcript-line');
+            // Selecting text to copy shouldn't seek
+            if (!lineEl || window.getSelection().toString()) return;
+            videoPlayer.currentTime = cues[lineEl.dataset.index].start;
+            videoPlayer.play().catch(() => {});
+        });
+
+        document.getElementById('copyTranscriptBtn').addEventListener('click', () => this.copyTranscript(transcriptEl));
+    }
+
+    async copyTranscript(transcriptEl) {
+        // Copy the selected lines, or the whole transcript when nothing is selected inside it
+        const selection = window.getSelection();
+        const hasSelection = selection.toString() && transcriptEl.contains(selection.anchorNode);
+        const text = hasSelection
+            ? selection.toString()
+            : Array.from(transcriptEl.querySelectorAll('.transcript-line'), line => line.textContent).join('\n');
+        if (!text) return;
+
+        const copyBtn = document.getElementById('copyTranscriptBtn');
+        try {
+            await navigator.clipboard.writeText(text);
+            copyBtn.textContent = 'Copied!';
+        } catch (error) {
+            console.error('Error copying transcript:', error);
+            copyBtn.textContent = 'Copy failed';
+        }
+        setTimeout(() => { copyBtn.textContent = 'Copy'; }, 1500);
+    }
+
+    showLessonPanelTab(panelName) {
+        const panel = document.getElementById('lessonPanel');
+        if (!panel) return;
+
+        // Lessons without subtitles have no transcript tab, keep the choice for the next lesson
+        if (panel.querySelector(`.lesson-panel-tab[data-panel="${panelName}"]`)) {
+            this.activeLessonPanel = panelName;
+        } else {
+            panelName = 'notes';
+        }
+
+        panel.querySelectorAll('.lesson-panel-tab, .lesson-panel-pane').forEach(el => {
+            el.classList.toggle('active', el.dataset.panel === panelName);
+        });
+    }
+
+    getActivePlayer() {
+        // The player only counts while the lesson view is on screen
+        if (document.getElementById('lessonContent').style.display === 'none') return null;
+        return document.getElementById('videoPlayer');
+    }
+
+    isEditableTarget(target) {
+        return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    }
+
+    jumpToLesson(lessonId, time) {
+        const location = this.findLessonById(lessonId);
+        if (!location) return;
+
+        const videoPlayer = this.getActivePlayer();
+        const isCurrentLesson = this.currentLesson &&
+            this.getLessonId(this.currentLesson.sectionIndex, this.currentLesson.lessonIndex) === lessonId;
+
+        if (isCurrentLesson && videoPlayer) {
+            videoPlayer.currentTime = time;
+            videoPlayer.play().catch(() => {});
+            return;
+        }
+
+        this.pendingSeekTime = time;
+        this.shouldAutoPlay = true;
+        this.loadLesson(location.sectionIndex, location.lessonIndex);
+    }
+
+    // Notes
+    async loadCourseRecords(courseId) {
+        try {
+            this.courseNotes = await this.courseDB.getAllByIndex('notes', 'courseId', courseId);
+            this.courseBookmarks = await this.courseDB.getAllByIndex('bookmarks', 'courseId', courseId);
+            this.courseLoops = await this.courseDB.getAllByIndex('loops', 'courseId', courseId);
+        } catch (error) {
+            console.error('Error loading notes, bookmarks and loops:', error);
+            this.courseNotes = [];
+            this.courseBookmarks = [];
+            this.courseLoops = [];
+        }
+    }
+
+    setupNotes(videoPlayer, lessonId) {
+        const noteForm = document.getElementById('noteForm');
+        const noteInput = document.getElementById('noteInput');
+        const noteTimestamp = document.getElementById('noteTimestamp');
 
-                const icon = document.createElement('span');
-                icon.textContent = '🎥';
-                icon.style.cssText = 'font-size: 1.1rem; opacity: 0.7;';
+        // The note is pinned to the moment typing starts, not when it is saved
+        let draftTime = null;
 
-                const name = document.createElement('span');
-                name.textContent = lesson.name;
-                name.style.cssText = 'flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        const updateTimestamp = () => {
+            noteTimestamp.textContent = this.formatDuration(draftTime !== null ? draftTime : videoPlayer.currentTime);
+        };
 
-                const duration = document.createElement('span');
-                duration.textContent = this.formatDuration(lesson.duration);
-                duration.style.cssText = 'font-size: 0.75rem; color: var(--spotify-subdued); opacity: 0.8;';
+        videoPlayer.addEventListener('timeupdate', updateTimestamp);
 
-                lessonEl.appendChild(checkbox);
-                lessonEl.appendChild(icon);
-                lessonEl.appendChild(name);
-                lessonEl.appendChild(duration);
+        noteInput.addEventListener('input', () => {
+            if (noteInput.value.trim() === '') {
+                draftTime = null;
+            } else if (draftTime === null) {
+                draftTime = videoPlayer.currentTime;
+            }
+            updateTimestamp();
+        });
 
-                lessonEl.addEventListener('click', () => {
-                    this.loadLesson(sectionIndex, lessonIndex);
-                });
+        noteInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                noteForm.requestSubmit();
+            }
+        });
 
-                lessonsContainer.appendChild(lessonEl);
+        noteForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const text = noteInput.value.trim();
+            if (!text) return;
+
+            await this.addNote(lessonId, draftTime !== null ? draftTime : videoPlayer.currentTime, text);
+            noteInput.value = '';
+            draftTime = null;
+            updateTimestamp();
+            this.renderNotesList(videoPlayer, lessonId);
+        });
+
+        document.getElementById('exportNotesBtn').addEventListener('click', () => this.exportCourseNotes());
+
+        this.renderNotesList(videoPlayer, lessonId);
+    }
+
+    async addNote(lessonId, time, text) {
+        const note = {
+            courseId: this.currentCourseId,
+            lessonId,
+            time,
+            text,
+            createdAt: Date.now()
+        };
+
+        try {
+            note.id = await this.courseDB.put('notes', note);
+            this.courseNotes.push(note);
+        } catch (error) {
+            console.error('Error saving note:', error);
+            await this.showModal('The note could not be saved. Please try again.', 'Error');
+        }
+    }
+
+    async deleteNote(noteId) {
+        try {
+            await this.courseDB.delete('notes', noteId);
+            this.courseNotes = this.courseNotes.filter(note => note.id !== noteId);
+        } catch (error) {
+            console.error('Error deleting note:', error);
+        }
+    }
+
+    renderNotesList(videoPlayer, lessonId) {
+        const notesList = document.getElementById('notesList');
+        if (!notesList) return;
+
+        const notes = this.courseNotes
+            .filter(note => note.lessonId === lessonId)
+            .sort((a, b) => a.time - b.time);
+
+        notesList.innerHTML = '';
+
+        if (notes.length === 0) {
+            notesList.innerHTML = '<p class="lesson-panel-empty">No notes for this lesson yet.</p>';
+            return;
+        }
+
+        for (const note of notes) {
+            const noteEl = document.createElement('div');
+            noteEl.className = 'note-item';
+            noteEl.innerHTML = `
+                <button class="note-time">${this.formatDuration(note.time)}</button>
+                <p class="note-text"></p>
+                <button class="note-delete" title="Delete note">×</button>
+            `;
+            noteEl.querySelector('.note-text').textContent = note.text;
+
+            noteEl.querySelector('.note-time').addEventListener('click', () => {
+                videoPlayer.currentTime = note.time;
+                videoPlayer.play().catch(() => {});
             });
 
-            sectionHeader.addEventListener('click', () => {
-                const toggle = sectionHeader.querySelector('.mobile-section-toggle');
-                if (lessonsContainer.style.display === 'none') {
-                    lessonsContainer.style.display = 'block';
-                    toggle.textContent = '▼';
-                } else {
-                    lessonsContainer.style.display = 'none';
-                    toggle.textContent = '▶';
-                }
+            noteEl.querySelector('.note-delete').addEventListener('click', async () => {
+                await this.deleteNote(note.id);
+                this.renderNotesList(videoPlayer, lessonId);
             });
 
-            sectionEl.appendChild(sectionHeader);
-            sectionEl.appendChild(lessonsContainer);
-            mobileCourseNav.appendChild(sectionEl);
-        });
+            notesList.appendChild(noteEl);
+        }
     }
 
-    async loadLesson(sectionIndex, lessonIndex) {
-        const section = this.courseStructure[sectionIndex];
-        const lesson = section.lessons[lessonIndex];
+    exportCourseNotes() {
+        const lines = [`# ${this.courseName} - Notes`, ''];
+        let noteCount = 0;
 
-        this.currentLesson = { sectionIndex, lessonIndex };
+        for (const section of this.courseStructure) {
+            const sectionLines = [];
 
-        // Save last viewed lesson
-        this.saveLastSession();
+            for (const lesson of section.lessons) {
+                const notes = this.courseNotes
+                    .filter(note => note.lessonId === lesson.id)
+                    .sort((a, b) => a.time - b.time);
+                if (notes.length === 0) continue;
 
-        // Update active state
-        document.querySelectorAll('.lesson-item').forEach(el => el.classList.remove('active'));
-        const lessonEl = document.querySelector(`[data-section-index="${sectionIndex}"][data-lesson-index="${lessonIndex}"]`);
-        if (lessonEl) lessonEl.classList.add('active');
+                sectionLines.push(`### ${lesson.name}`, '');
+                for (const note of notes) {
+                    // Indent continuation lines so multi-line notes stay inside their list item
+                    const text = note.text.replace(/\n/g, '\n  ');
+                    sectionLines.push(`- **[${this.formatDuration(note.time)}]** ${text}`);
+                }
+                sectionLines.push('');
+                noteCount += notes.length;
+            }
 
-        // Update lesson title
-        document.getElementById('lessonTitle').textContent = lesson.name;
+            if (sectionLines.length > 0) {
+                lines.push(`## ${this.getSectionTitle(section)}`, '', ...sectionLines);
+            }
+        }
 
-        // Update complete button
-        const lessonId = `${sectionIndex}-${lessonIndex}`;
-        const markCompleteBtn = document.getElementById('markCompleteBtn');
-        if (this.completedLessons.has(lessonId)) {
-            markCompleteBtn.classList.add('completed');
-            markCompleteBtn.innerHTML = `
-                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <polyline points="20 6 9 17 4 12"></polyline>
-                </svg>
-                COMPLETED
-            `;
-        } else {
-            markCompleteBtn.classList.remove('completed');
-            markCompleteBtn.innerHTML = `
-                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <polyline points="20 6 9 17 4 12"></polyline>
-                </svg>
-                MARK COMPLETE
-            `;
+        if (noteCount === 0) {
+            this.showModal('This course has no notes yet.', 'Export Notes');
+            return;
         }
 
-        // Update navigation buttons
-        this.updateNavigationButtons();
+        const blob = new Blob([lines.join('\n')], { type: 'text/markdown' });
+        this.downloadBlob(blob, `${this.courseName} - Notes.md`);
+    }
 
-        // Load content
-        await this.renderLessonContent(lesson);
+    // Bookmarks
+    setupBookmarks(videoPlayer) {
+        document.getElementById('addBookmarkBtn').addEventListener('click', () => this.addBookmark());
+
+        // Timeline ticks need the duration
+        videoPlayer.addEventListener('loadedmetadata', () => this.renderBookmarkTicks());
+
+        this.renderBookmarks();
     }
 
-    async renderLessonContent(lesson) {
-        const lessonBody = document.getElementById('lessonBody');
-        lessonBody.innerHTML = '<div class="loading"></div>';
+    async addBookmark() {
+        const videoPlayer = this.getActivePlayer();
+        if (!videoPlayer || !this.currentLesson) return;
+
+        const bookmark = {
+            courseId: this.currentCourseId,
+            lessonId: this.getLessonId(this.currentLesson.sectionIndex, this.currentLesson.lessonIndex),
+            time: videoPlayer.currentTime,
+            label: '',
+            createdAt: Date.now()
+        };
 
         try {
-            // Only process video files (subtitles are included automatically)
-            const videoFile = lesson.files.find(f => f.type === 'video');
-            const subtitleFile = lesson.files.find(f => f.type === 'subtitle');
+            bookmark.id = await this.courseDB.put('bookmarks', bookmark);
+            this.courseBookmarks.push(bookmark);
+        } catch (error) {
+            console.error('Error saving bookmark:', error);
+            return;
+        }
 
-            if (videoFile) {
-                // Video player
-                const videoUrl = URL.createObjectURL(await videoFile.handle.getFile());
-                const lessonId = `${this.currentLesson.sectionIndex}-${this.currentLesson.lessonIndex}`;
-                const savedTime = this.videoProgress[this.currentCourseId]?.[lessonId] || 0;
+        this.renderBookmarks();
 
-                const content = `
-                    <!-- Shared Video Player -->
-                    <div class="video-wrapper-shared">
-                        <div class="video-container">
-                            <video controls id="videoPlayer">
-                                <source src="${videoUrl}" type="video/mp4">
-                                Your browser does not support the video tag.
-                            </video>
-                            <div class="video-end-overlay" id="videoEndOverlay" style="display: none;">
-                                <div class="video-end-content">
-                                    <div class="video-end-icon">✓</div>
-                                    <h3>Video Complete!</h3>
-                                    <div class="video-end-actions">
-                                        <button class="btn-primary" id="markCompleteNextBtn">
-                                            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                                <polyline points="20 6 9 17 4 12"></polyline>
-                                            </svg>
-                                            Mark Complete & Next
-                                        </button>
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
-                    </div>
+        // Offer the optional label right away, playback keeps going
+        this.showLessonPanelTab('bookmarks');
+        const labelInput = document.querySelector(`.bookmark-item[data-bookmark-id="${bookmark.id}"] .bookmark-label`);
+        if (labelInput) labelInput.focus();
+    }
 
-                    <!-- Mobile Lesson Title and Controls -->
-                    <div class="mobile-lesson-title" id="mobileLessonTitle">${lesson.name}</div>
-                    <div class="mobile-video-controls">
-                        <button id="mobileMarkCompleteBtn" class="btn-complete">
-                            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                <polyline points="20 6 9 17 4 12"></polyline>
-                            </svg>
-                            <span id="mobileCompleteText">Mark as Complete</span>
-                        </button>
-                        <div class="mobile-nav-buttons">
-                            <button id="mobilePrevBtn" class="btn-nav">
-                                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                    <polyline points="15 18 9 12 15 6"></polyline>
-                                </svg>
-                                Previous
-                            </button>
-                            <button id="mobileNextBtn" class="btn-nav">
-                                Next
-                                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                    <polyline points="9 18 15 12 9 6"></polyline>
-                                </svg>
-                            </button>
-                        </div>
-                    </div>
+    async updateBookmarkLabel(bookmark, label) {
+        if (bookmark.label === label) return;
+        bookmark.label = label;
 
-                    <!-- Mobile Course Navigation -->
-                    <div class="mobile-course-nav" id="mobileCourseNav"></div>
-                `;
+        try {
+            await this.courseDB.put('bookmarks', bookmark);
+        } catch (error) {
+            console.error('Error saving bookmark label:', error);
+        }
+        this.renderBookmarkTicks();
+    }
 
-                lessonBody.innerHTML = content;
+    async deleteBookmark(bookmarkId) {
+        try {
+            await this.courseDB.delete('bookmarks', bookmarkId);
+            this.courseBookmarks = this.courseBookmarks.filter(bookmark => bookmark.id !== bookmarkId);
+        } catch (error) {
+            console.error('Error deleting bookmark:', error);
+        }
+        this.renderBookmarks();
+    }
 
-                // Render mobile course navigation (only visible on mobile)
-                this.renderMobileCourseNav();
+    renderBookmarks() {
+        this.renderBookmarkTicks();
+        this.renderBookmarksList();
+    }
 
-                // Setup mobile navigation buttons
-                this.setupMobileControls();
+    renderBookmarkTicks() {
+        const videoPlayer = this.getActivePlayer();
+        const bookmarkTrack = document.getElementById('bookmarkTrack');
+        if (!videoPlayer || !bookmarkTrack || !this.currentLesson) return;
+
+        bookmarkTrack.innerHTML = '';
+        if (!videoPlayer.duration) return;
+
+        const lessonId = this.getLessonId(this.currentLesson.sectionIndex, this.currentLesson.lessonIndex);
+        for (const bookmark of this.courseBookmarks.filter(b => b.lessonId === lessonId)) {
+            const tick = document.createElement('button');
+            tick.className = 'bookmark-tick';
+            tick.style.left = `${(bookmark.time / videoPlayer.duration) * 100}%`;
+            tick.title = `${this.formatDuration(bookmark.time)}${bookmark.label ? ' - ' + bookmark.label : ''}`;
+            tick.addEventListener('click', () => {
+                videoPlayer.currentTime = bookmark.time;
+            });
+            bookmarkTrack.appendChild(tick);
+        }
+    }
 
-                // Setup single shared video player
-                const videoPlayer = document.getElementById('videoPlayer');
-                const videoEndOverlay = document.getElementById('videoEndOverlay');
-                const markCompleteNextBtn = document.getElementById('markCompleteNextBtn');
+    renderBookmarksList() {
+        const bookmarksList = document.getElementById('bookmarksList');
+        if (!bookmarksList) return;
 
-                // Prepare subtitle URL if available
-                let subtitleUrl = null;
-                if (subtitleFile) {
-                    subtitleUrl = URL.createObjectURL(await subtitleFile.handle.getFile());
+        bookmarksList.innerHTML = '';
+
+        if (this.courseBookmarks.length === 0) {
+            const key = this.shortcuts.addBookmark;
+            const emptyEl = document.createElement('p');
+            emptyEl.className = 'lesson-panel-empty';
+            emptyEl.textContent = key
+                ? `No bookmarks in this course yet. Press ${this.formatShortcutKey(key)} while watching to add one.`
+                : 'No bookmarks in this course yet.';
+            bookmarksList.appendChild(emptyEl);
+            return;
+        }
+
+        const currentLessonId = this.currentLesson
+            ? this.getLessonId(this.currentLesson.sectionIndex, this.currentLesson.lessonIndex)
+            : null;
+
+        // Course-wide list, grouped by lesson in course order
+        for (const section of this.courseStructure) {
+            for (const lesson of section.lessons) {
+                const bookmarks = this.courseBookmarks
+                    .filter(bookmark => bookmark.lessonId === lesson.id)
+                    .sort((a, b) => a.time - b.time);
+                if (bookmarks.length === 0) continue;
+
+                const groupEl = document.createElement('div');
+                groupEl.className = `bookmark-group ${lesson.id === currentLessonId ? 'current' : ''}`;
+
+                const titleEl = document.createElement('div');
+                titleEl.className = 'bookmark-group-title';
+                titleEl.textContent = lesson.name;
+                groupEl.appendChild(titleEl);
+
+                for (const bookmark of bookmarks) {
+                    const bookmarkEl = document.createElement('div');
+                    bookmarkEl.className = 'bookmark-item';
+                    bookmarkEl.dataset.bookmarkId = bookmark.id;
+                    bookmarkEl.innerHTML = `
+                        <button class="note-time">${this.formatDuration(bookmark.time)}</button>
+                        <input class="bookmark-label" type="text" placeholder="Add a label...">
+                        <button class="note-delete" title="Delete bookmark">×</button>
+                    `;
+
+                    const labelInput = bookmarkEl.querySelector('.bookmark-label');
+                    labelInput.value = bookmark.label;
+                    labelInput.addEventListener('change', () => this.updateBookmarkLabel(bookmark, labelInput.value.trim()));
+                    labelInput.addEventListener('keydown', (e) => {
+                        if (e.key === 'Enter' || e.key === 'Escape') labelInput.blur();
+                    });
+
+                    bookmarkEl.querySelector('.note-time').addEventListener('click', () => {
+                        this.jumpToLesson(bookmark.lessonId, bookmark.time);
+                    });
+                    bookmarkEl.querySelector('.note-delete').addEventListener('click', () => {
+                        this.deleteBookmark(bookmark.id);
+                    });
+
+                    groupEl.appendChild(bookmarkEl);
                 }
 
-                if (videoPlayer) {
-                    // Restore video position (but not if already completed)
-                    if (savedTime > 0) {
-                        videoPlayer.addEventListener('loadedmetadata', () => {
-                            if (savedTime < videoPlayer.duration - 5) {
-                                videoPlayer.currentTime = savedTime;
-                            }
-                        }, { once: true });
-                    }
+                bookmarksList.appendChild(groupEl);
+            }
+        }
+    }
+
+    // A-B Loops
+    setupLoops(videoPlayer, lessonId) {
+        document.getElementById('loopStartBtn').addEventListener('click', () => this.setLoopPoint('start'));
+        document.getElementById('loopEndBtn').addEventListener('click', () => this.setLoopPoint('end'));
+        document.getElementById('loopToggleBtn').addEventListener('click', () => {
+            if (this.activeLoop) {
+                this.stopLoop();
+            } else {
+                this.startLoop();
+            }
+        });
+        document.getElementById('loopSaveForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveLoop(lessonId);
+        });
+
+        // The region on the timeline needs the duration
+        videoPlayer.addEventListener('loadedmetadata', () => this.renderLoopRegion());
+
+        this.renderLoops();
+    }
+
+    clearLoop() {
+        // Loop points and a running loop belong to the lesson they were set on
+        this.loopPoints = { start: null, end: null };
+        this.activeLoop = null;
+    }
+
+    setLoopPoint(which) {
+        const videoPlayer = this.getActivePlayer();
+        if (!videoPlayer) return;
+
+        const time = videoPlayer.currentTime;
+        this.loopPoints[which] = time;
+
+        // A point on the wrong side of the other one starts a new segment
+        const { start, end } = this.loopPoints;
+        if (start !== null && end !== null && end <= start) {
+            this.loopPoints[which === 'start' ? 'end' : 'start'] = null;
+        }
+
+        // Moving a point of the running loop moves the loop
+        if (this.activeLoop && this.loopPoints.start !== null && this.loopPoints.end !== null) {
+            this.activeLoop.start = this.loopPoints.start;
+            this.activeLoop.end = this.loopPoints.end;
+        } else if (this.activeLoop) {
+            this.stopLoop();
+        }
+
+        this.showPlayerToast(`Loop ${which === 'start' ? 'A' : 'B'}: ${this.formatDuration(time)}`);
+        this.renderLoops();
+    }
+
+    startLoop(loop = null) {
+        const videoPlayer = this.getActivePlayer();
+        if (!videoPlayer) return;
+
+        if (loop) {
+            this.loopPoints = { start: loop.start, end: loop.end };
+            document.getElementById('loopRepeatSelect').value = String(loop.repeat);
+            document.getElementById('loopSpeedSelect').value = loop.speed ? String(loop.speed) : '';
+        }
+
+        const { start, end } = this.loopPoints;
+        if (start === null || end === null) {
+            this.showPlayerToast('Set the loop start (A) and end (B) first');
+            this.showLessonPanelTab('loop');
+            return;
+        }
+
+        // Restarting replaces the running loop but keeps the speed from before it
+        const previousRate = this.activeLoop ? this.activeLoop.previousRate : videoPlayer.playbackRate;
+        const speed = Number(document.getElementById('loopSpeedSelect').value) || null;
+        this.activeLoop = {
+            start,
+            end,
+            repeat: Number(document.getElementById('loopRepeatSelect').value) || 0,
+            speed,
+            count: 0,
+            previousRate
+        };
+
+        videoPlayer.playbackRate = speed || previousRate;
+        videoPlayer.currentTime = start;
+        videoPlayer.play().catch(() => {});
+
+        this.showPlayerToast(`Looping ${this.formatDuration(start)} - ${this.formatDuration(end)}`);
+        this.renderLoops();
+    }
+
+    stopLoop(message = 'Loop stopped') {
+        const loop = this.activeLoop;
+        if (!loop) return;
+
+        // Clearing the loop first lets the speed change be saved as the course speed again
+        this.activeLoop = null;
+        const videoPlayer = this.getActivePlayer();
+        if (videoPlayer && loop.speed) {
+            videoPlayer.playbackRate = loop.previousRate;
+        }
+
+        this.showPlayerToast(message);
+        this.renderLoops();
+    }
+
+    checkLoop(videoPlayer) {
+        const loop = this.activeLoop;
+        if (!loop || videoPlayer.currentTime < loop.end) return false;
+
+        // Seeking far past the loop leaves it
+        if (videoPlayer.currentTime > loop.end + 2 && !videoPlayer.ended) {
+            this.stopLoop();
+            return false;
+        }
+
+        loop.count++;
+        if (loop.repeat && loop.count >= loop.repeat) {
+            videoPlayer.pause();
+            videoPlayer.currentTime = loop.end;
+            this.stopLoop(`Loop finished after ${loop.repeat} plays`);
+            return true;
+        }
+
+        videoPlayer.currentTime = loop.start;
+        if (videoPlayer.paused) videoPlayer.play().catch(() => {});
+        if (loop.repeat) this.showPlayerToast(`Play ${loop.count + 1} of ${loop.repeat}`);
+        return true;
+    }
+
+    async saveLoop(lessonId) {
+        const { start, end } = this.loopPoints;
+        if (start === null || end === null) {
+            this.showPlayerToast('Set the loop start (A) and end (B) first');
+            return;
+        }
+
+        const nameInput = document.getElementById('loopNameInput');
+        const lessonLoops = this.courseLoops.filter(loop => loop.lessonId === lessonId);
+        const loop = {
+            courseId: this.currentCourseId,
+            lessonId,
+            name: nameInput.value.trim() || `Loop ${lessonLoops.length + 1}`,
+            start,
+            end,
+            repeat: Number(document.getElementById('loopRepeatSelect').value) || 0,
+            speed: Number(document.getElementById('loopSpeedSelect').value) || null,
+            createdAt: Date.now()
+        };
+
+        try {
+            loop.id = await this.courseDB.put('loops', loop);
+            this.courseLoops.push(loop);
+        } catch (error) {
+            console.error('Error saving loop:', error);
+            return;
+        }
+
+        nameInput.value = '';
+        this.renderLoops();
+    }
+
+    async deleteLoop(loopId) {
+        try {
+            await this.courseDB.delete('loops', loopId);
+            this.courseLoops = this.courseLoops.filter(loop => loop.id !== loopId);
+        } catch (error) {
+            console.error('Error deleting loop:', error);
+        }
+        this.renderLoops();
+    }
+
+    renderLoops() {
+        const loopsList = document.getElementById('loopsList');
+        if (!loopsList || !this.currentLesson) return;
+
+        const { start, end } = this.loopPoints;
+        document.getElementById('loopStartTime').textContent = start === null ? '--:--' : this.formatDuration(start);
+        document.getElementById('loopEndTime').textContent = end === null ? '--:--' : this.formatDuration(end);
+        document.getElementById('loopToggleText').textContent = this.activeLoop ? 'Stop Loop' : 'Start Loop';
+        this.renderLoopRegion();
+
+        // Saved loops of this lesson, in playback order
+        const lessonId = this.getLessonId(this.currentLesson.sectionIndex, this.currentLesson.lessonIndex);
+        const loops = this.courseLoops
+            .filter(loop => loop.lessonId === lessonId)
+            .sort((a, b) => a.start - b.start);
+
+        loopsList.innerHTML = '';
+        if (loops.length === 0) {
+            loopsList.innerHTML = '<p class="lesson-panel-empty">No saved loops for this lesson yet.</p>';
+            return;
+        }
+
+        for (const loop of loops) {
+            const details = [
+                loop.repeat ? `${loop.repeat} times` : 'until stopped',
+                loop.speed ? `${loop.speed}x` : null
+            ].filter(Boolean).join(', ');
+
+            const loopEl = document.createElement('div');
+            loopEl.className = 'loop-item';
+            loopEl.innerHTML = `
+                <button class="note-time">${this.formatDuration(loop.start)} - ${this.formatDuration(loop.end)}</button>
+                <div class="loop-item-info">
+                    <span class="loop-item-name"></span>
+                    <span class="loop-item-details">${details}</span>
+                </div>
+                <button class="note-delete" title="Delete loop">×</button>
+            `;
+            loopEl.querySelector('.loop-item-name').textContent = loop.name;
+            loopEl.querySelector('.note-time').addEventListener('click', () => this.startLoop(loop));
+            loopEl.querySelector('.note-delete').addEventListener('click', () => this.deleteLoop(loop.id));
+            loopsList.appendChild(loopEl);
+        }
+    }
+
+    renderLoopRegion() {
+        const videoPlayer = this.getActivePlayer();
+        const loopRegion = document.getElementById('loopRegion');
+        if (!videoPlayer || !loopRegion) return;
+
+        const { start, end } = this.loopPoints;
+        const duration = videoPlayer.duration;
+        loopRegion.hidden = !duration || start === null;
+        if (loopRegion.hidden) return;
+
+        // Only A is set yet, mark it alone
+        const regionEnd = end === null ? start : end;
+        loopRegion.style.left = `${(start / duration) * 100}%`;
+        loopRegion.style.width = `${((regionEnd - start) / duration) * 100}%`;
+        loopRegion.classList.toggle('active', !!this.activeLoop);
+    }
 
-                    // Save video progress periodically
-                    videoPlayer.addEventListener('timeupdate', () => {
-                        if (!this.videoProgress[this.currentCourseId]) {
-                            this.videoProgress[this.currentCourseId] = {};
-                        }
-                        this.videoProgress[this.currentCourseId][lessonId] = videoPlayer.currentTime;
-                        this.saveVideoProgress();
-                    });
+    renderLessonLinks(links) {
+        // Extra links a course manifest adds to a lesson
+        const lessonLinks = document.getElementById('lessonLinks');
+        lessonLinks.innerHTML = '';
+        lessonLinks.hidden = links.length === 0;
+
+        links.forEach(link => {
+            const linkEl = document.createElement('a');
+            linkEl.className = 'lesson-link';
+            linkEl.href = link.url;
+            linkEl.target = '_blank';
+            linkEl.rel = 'noopener noreferrer';
+            linkEl.textContent = link.title;
+            lessonLinks.appendChild(linkEl);
+        });
+    }
 
-                    // Handle video end
-                    videoPlayer.addEventListener('ended', () => {
-                        this.handleVideoEnd();
-                    });
+    async loadResource(sectionIndex, resourceIndex) {
+        const resource = this.courseStructure[sectionIndex].resources[resourceIndex];
+        this.clearLoop();
 
-                    // Add subtitles if available
-                    if (subtitleUrl) {
-                        const track = document.createElement('track');
-                        track.kind = 'subtitles';
-                        track.label = 'English';
-                        track.srclang = 'en';
-                        track.src = subtitleUrl;
-                        track.default = this.captionsEnabled;
-                        videoPlayer.appendChild(track);
-
-                        // Apply caption preference after track loads
-                        track.addEventListener('load', () => {
-                            if (videoPlayer.textTracks.length > 0) {
-                                videoPlayer.textTracks[0].mode = this.captionsEnabled ? 'showing' : 'hidden';
-                            }
-                        });
+        // Update active state
+        document.querySelectorAll('.lesson-item').forEach(el => el.classList.remove('active'));
+        const resourceEl = document.querySelector(`[data-section-index="${sectionIndex}"][data-resource-index="${resourceIndex}"]`);
+        if (resourceEl) resourceEl.classList.add('active');
 
-                        // Listen for caption changes by user
-                        videoPlayer.textTracks.addEventListener('change', () => {
-                            if (videoPlayer.textTracks.length > 0) {
-                                const isShowing = videoPlayer.textTracks[0].mode === 'showing';
-                                this.saveCaptionPreference(isShowing);
-                            }
-                        });
-                    }
+        // Resources have no completion state, lesson navigation stays on the current lesson
+        document.getElementById('lessonTitle').textContent = resource.name;
+        document.getElementById('markCompleteBtn').style.display = 'none';
+        this.renderLessonLinks([]);
 
-                    // Auto-play if flag is set
-                    if (this.shouldAutoPlay) {
-                        setTimeout(() => {
-                            videoPlayer.play().catch(err => {
-                                console.log('Auto-play prevented by browser:', err);
-                            });
-                        }, 100);
-                    }
-                }
+        await this.renderResourceContent(resource);
+    }
 
-                // Reset auto-play flag after setup
-                this.shouldAutoPlay = false;
+    async renderResourceContent(resource) {
+        const lessonBody = document.getElementById('lessonBody');
+        lessonBody.innerHTML = '<div class="loading"></div>';
 
-                // Mark complete & next button
-                if (markCompleteNextBtn) {
-                    markCompleteNextBtn.addEventListener('click', () => {
-                        this.markCompleteAndNext();
-                    });
-                }
+        try {
+            let viewer;
+
+            if (resource.type === 'pdf' && typeof pdfjsLib !== 'undefined') {
+                viewer = `
+                    <div class="pdf-container">
+                        <div class="pdf-controls">
+                            <button id="pdfPrev">Previous</button>
+                            <span id="pdfPageInfo"></span>
+                            <button id="pdfNext">Next</button>
+                        </div>
+                        <canvas id="pdfCanvas" class="pdf-canvas"></canvas>
+                    </div>
+                `;
+            } else if (resource.type === 'html') {
+                viewer = `
+                    <div class="html-content">
+                        <iframe id="resourceFrame" sandbox="allow-popups" title="${this.escapeHtml(resource.name)}"></iframe>
+                    </div>
+                `;
+            } else if (resource.type === 'text') {
+                viewer = `
+                    <div class="text-content">
+                        <pre id="resourceText"></pre>
+                    </div>
+                `;
             } else {
-                // No video found (should not happen due to validation)
-                lessonBody.innerHTML = `
-                    <div class="empty-state">
+                viewer = `
+                    <div class="download-section">
                         <svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-                            <path d="M23 7l-7 5 7 5V7z"></path>
-                            <rect x="1" y="5" width="15" height="14" rx="2" ry="2"></rect>
+                            <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                            <polyline points="7 10 12 15 17 10"></polyline>
+                            <line x1="12" y1="15" x2="12" y2="3"></line>
                         </svg>
-                        <p>No video found for this lesson</p>
+                        <h3>${this.escapeHtml(resource.name)}</h3>
+                        <p>This file can't be previewed in the browser.</p>
+                        <button class="btn-primary" id="resourceDownloadBtn">Download</button>
                     </div>
                 `;
             }
 
+            lessonBody.innerHTML = `
+                <div class="resource-viewer">${viewer}</div>
+
+                <!-- Mobile Resource Title and Course Navigation -->
+                <div class="mobile-lesson-title">${this.escapeHtml(resource.name)}</div>
+                <div class="mobile-course-nav" id="mobileCourseNav"></div>
+            `;
+
+            this.renderMobileCourseNav();
+
+            if (document.getElementById('pdfCanvas')) {
+                await this.renderPDF(resource);
+            } else if (document.getElementById('resourceFrame')) {
+                // srcdoc keeps the document inside the sandbox with an opaque origin
+                const fileData = await resource.handle.getFile();
+                document.getElementById('resourceFrame').srcdoc = await fileData.text();
+            } else if (document.getElementById('resourceText')) {
+                const fileData = await resource.handle.getFile();
+                document.getElementById('resourceText').textContent = await fileData.text();
+            } else {
+                document.getElementById('resourceDownloadBtn').addEventListener('click', () => {
+                    this.downloadFile(resource);
+                });
+            }
         } catch (error) {
-            console.error('Error rendering lesson content:', error);
+            console.error('Error rendering resource:', error);
             lessonBody.innerHTML = `
                 <div class="empty-state">
                     <svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
@@ -1009,46 +4130,12 @@ class CourseViewer {
                         <line x1="12" y1="8" x2="12" y2="12"></line>
                         <line x1="12" y1="16" x2="12.01" y2="16"></line>
                     </svg>
-                    <p>Error loading lesson content</p>
+                    <p>Error loading resource</p>
                 </div>
             `;
         }
     }
 
-    handleVideoEnd() {
-        const videoEndOverlay = document.getElementById('videoEndOverlay');
-
-        if (!videoEndOverlay) return;
-
-        videoEndOverlay.style.display = 'flex';
-    }
-
-    markCompleteAndNext() {
-        // Mark current lesson as complete
-        if (this.currentLesson) {
-            const { sectionIndex, lessonIndex } = this.currentLesson;
-            const lessonId = `${sectionIndex}-${lessonIndex}`;
-
-            if (!this.completedLessons.has(lessonId)) {
-                this.completedLessons.add(lessonId);
-                this.saveCourseProgress(this.currentCourseId);
-                this.updateProgressBar();
-
-                // Update UI
-                const lessonEl = document.querySelector(`[data-section-index="${sectionIndex}"][data-lesson-index="${lessonIndex}"]`);
-                if (lessonEl) {
-                    lessonEl.classList.add('completed');
-                }
-            }
-        }
-
-        // Set flag to auto-play next video
-        this.shouldAutoPlay = true;
-
-        // Navigate to next lesson
-        this.navigateLesson(1);
-    }
-
     async renderPDF(pdfFile) {
         try {
             const fileData = await pdfFile.handle.getFile();
@@ -1097,32 +4184,160 @@ class CourseViewer {
         }
     }
 
-    async downloadFile(fileName) {
-        const { sectionIndex, lessonIndex } = this.currentLesson;
-        const lesson = this.courseStructure[sectionIndex].lessons[lessonIndex];
-        const file = lesson.files.find(f => f.name === fileName);
-
-        if (file) {
-            const fileData = await file.handle.getFile();
-            const url = URL.createObjectURL(fileData);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = fileName;
-            a.click();
-            URL.revokeObjectURL(url);
+    async downloadFile(file) {
+        const fileData = await file.handle.getFile();
+        this.downloadBlob(fileData, file.name);
+    }
+
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // Watched Coverage
+    trackWatchedCoverage(videoPlayer, lessonId) {
+        const MAX_PLAYBACK_STEP = 3; // Bigger jumps between timeupdates are seeks, not playback
+        const SAVE_INTERVAL = 5000;
+
+        let segmentStart = null;
+        let lastTime = null;
+        let lastSave = Date.now();
+
+        videoPlayer.addEventListener('timeupdate', () => {
+            if (videoPlayer.seeking) return;
+            const time = videoPlayer.currentTime;
+            const step = time - lastTime;
+
+            // Only continuous playback counts, so seeking to the end doesn't complete a lesson
+            if (segmentStart === null || step < 0 || step > MAX_PLAYBACK_STEP) {
+                segmentStart = time;
+            } else if (step > 0) {
+                // Wall-clock time, an hour at 2x speed is 30 minutes of studying
+                this.recordWatchTime(lessonId, step / (videoPlayer.playbackRate || 1));
+            }
+            lastTime = time;
+            if (time <= segmentStart) return;
+
+            this.addWatchedInterval(lessonId, segmentStart, time);
+            this.updateWatchedCoverage(lessonId, videoPlayer.duration);
+
+            if (Date.now() - lastSave > SAVE_INTERVAL) {
+                lastSave = Date.now();
+                this.saveCourseProgress(this.currentCourseId);
+            }
+        });
+
+        videoPlayer.addEventListener('seeking', () => {
+            segmentStart = null;
+        });
+        videoPlayer.addEventListener('pause', () => {
+            this.endWatchSession();
+            this.saveCourseProgress(this.currentCourseId);
+        });
+    }
+
+    recordWatchTime(lessonId, seconds) {
+        let session = this.activeWatchSession;
+        if (!session || session.lessonId !== lessonId || session.courseId !== this.currentCourseId) {
+            this.endWatchSession();
+
+            const location = this.findLessonById(lessonId);
+            session = this.activeWatchSession = {
+                courseId: this.currentCourseId,
+                lessonId,
+                lessonName: location ? this.courseStructure[location.sectionIndex].lessons[location.lessonIndex].name : '',
+                startedAt: Date.now(),
+                endedAt: Date.now(),
+                seconds: 0
+            };
+        }
+
+        session.seconds += seconds;
+        session.endedAt = Date.now();
+    }
+
+    endWatchSession() {
+        const session = this.activeWatchSession;
+        this.activeWatchSession = null;
+        if (!session || session.seconds < 1) return;
+
+        session.seconds = Math.round(session.seconds);
+        this.courseDB.put('watchSessions', session).catch(error => {
+            console.error('Error saving watch session:', error);
+        });
+    }
+
+    addWatchedInterval(lessonId, start, end) {
+        const intervals = this.watchedIntervals[lessonId] || [];
+        intervals.push([Math.floor(start * 10) / 10, Math.ceil(end * 10) / 10]);
+        this.watchedIntervals[lessonId] = this.mergeIntervals(intervals);
+    }
+
+    mergeIntervals(intervals) {
+        const merged = [];
+        for (const [start, end] of [...intervals].sort((a, b) => a[0] - b[0])) {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        }
+        return merged;
+    }
+
+    getWatchedShare(lessonId, duration) {
+        const intervals = this.watchedIntervals[lessonId];
+        if (!intervals || !duration || !Number.isFinite(duration)) return 0;
+
+        const watched = intervals.reduce((sum, [start, end]) => sum + (end - start), 0);
+        return Math.min(watched / duration, 1);
+    }
+
+    updateWatchedCoverage(lessonId, duration) {
+        const location = this.findLessonById(lessonId);
+        if (!location) return;
+
+        const share = this.getWatchedShare(lessonId, duration);
+        const lessonEl = document.querySelector(`#courseNav .lesson-item[data-section-index="${location.sectionIndex}"][data-lesson-index="${location.lessonIndex}"]`);
+        if (lessonEl) this.setWatchedIndicator(lessonEl, share);
+
+        // Auto-complete once enough of the lesson has actually been watched
+        const threshold = this.getPreference('completion_threshold', DEFAULT_COMPLETION_THRESHOLD);
+        const isCurrentLesson = this.currentLesson &&
+            this.currentLesson.sectionIndex === location.sectionIndex &&
+            this.currentLesson.lessonIndex === location.lessonIndex;
+
+        if (threshold > 0 && share >= threshold && isCurrentLesson && !this.completedLessons.has(lessonId)) {
+            this.toggleLessonComplete();
+            this.showPlayerToast('Lesson marked as complete');
         }
     }
 
+    setWatchedIndicator(lessonEl, share) {
+        // Partial fill of the checkbox, completed lessons draw over it
+        const percentage = Math.round(share * 100);
+        lessonEl.classList.toggle('partial', percentage > 0);
+        lessonEl.style.setProperty('--watched', `${percentage}%`);
+        lessonEl.querySelector('.lesson-checkbox').title = percentage > 0 ? `${percentage}% watched` : '';
+    }
+
     toggleLessonComplete() {
         if (!this.currentLesson) return;
 
         const { sectionIndex, lessonIndex } = this.currentLesson;
-        const lessonId = `${sectionIndex}-${lessonIndex}`;
+        const lessonId = this.getLessonId(sectionIndex, lessonIndex);
 
         if (this.completedLessons.has(lessonId)) {
             this.completedLessons.delete(lessonId);
+            delete this.completedDates[lessonId];
         } else {
             this.completedLessons.add(lessonId);
+            this.completedDates[lessonId] = Date.now();
         }
 
         this.saveCourseProgress(this.currentCourseId);
@@ -1155,74 +4370,514 @@ class CourseViewer {
         }
     }
 
-    navigateLesson(direction) {
-        if (!this.currentLesson) return;
+    navigateLesson(direction) {
+        const target = this.getAdjacentLesson(direction);
+        if (!target) return; // Already at the first or last lesson
+
+        this.loadLesson(target.sectionIndex, target.lessonIndex);
+    }
+
+    getAdjacentLesson(direction) {
+        if (!this.currentLesson) return null;
+
+        const { sectionIndex, lessonIndex } = this.currentLesson;
+        const lessons = this.courseStructure[sectionIndex].lessons;
+        if (lessonIndex + direction >= 0 && lessonIndex + direction < lessons.length) {
+            return { sectionIndex, lessonIndex: lessonIndex + direction };
+        }
+
+        // Move to the nearest section with lessons, sections of resources alone are skipped
+        for (let index = sectionIndex + direction; index >= 0 && index < this.courseStructure.length; index += direction) {
+            const count = this.courseStructure[index].lessons.length;
+            if (count > 0) {
+                return { sectionIndex: index, lessonIndex: direction > 0 ? 0 : count - 1 };
+            }
+        }
+        return null;
+    }
+
+    updateNavigationButtons() {
+        if (!this.currentLesson) return;
+
+        const prevBtn = document.getElementById('prevLessonBtn');
+        const nextBtn = document.getElementById('nextLessonBtn');
+
+        prevBtn.disabled = !this.getAdjacentLesson(-1);
+        nextBtn.disabled = !this.getAdjacentLesson(1);
+    }
+
+    updateProgressBar() {
+        const totalLessons = this.courseStructure.reduce((sum, section) =>
+            sum + section.lessons.length, 0);
+
+        const completedCount = this.getCompletedCount();
+        const percentage = totalLessons > 0 ? Math.round((completedCount / totalLessons) * 100) : 0;
+
+        document.getElementById('progressBar').style.width = `${percentage}%`;
+        document.getElementById('progressText').textContent = `${percentage}% (${completedCount}/${totalLessons})`;
+    }
+
+    // Course Search
+    setupSearch() {
+        const searchInput = document.getElementById('courseSearchInput');
+
+        searchInput.addEventListener('input', () => this.renderSearchResults());
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.clearSearch();
+                searchInput.blur();
+            } else if (e.key === 'Enter') {
+                const firstResult = document.querySelector('#searchResults .search-result');
+                if (firstResult) firstResult.click();
+            }
+        });
+    }
+
+    focusSearch() {
+        document.getElementById('sidebar').classList.remove('collapsed');
+        const searchInput = document.getElementById('courseSearchInput');
+        searchInput.focus();
+        searchInput.select();
+    }
+
+    clearSearch() {
+        document.getElementById('courseSearchInput').value = '';
+        this.renderSearchResults();
+    }
+
+    async buildSearchIndex(structure) {
+        const SUBTITLE_INDEX_CONCURRENCY = 4;
+
+        // Names are indexed right away, subtitle cues as their files are read
+        const index = [];
+        const pending = [];
+        structure.forEach((section, sectionIndex) => {
+            const sectionTitle = this.getSectionTitle(section);
+            index.push({ type: 'section', sectionIndex, text: sectionTitle, searchText: sectionTitle.toLowerCase() });
+
+            section.lessons.forEach((lesson, lessonIndex) => {
+                index.push({ type: 'lesson', sectionIndex, lessonIndex, text: lesson.name, searchText: lesson.name.toLowerCase() });
+
+                for (const file of lesson.files.filter(f => f.type === 'subtitle')) {
+                    pending.push({ section, lesson, sectionIndex, lessonIndex, file });
+                }
+            });
+        });
+
+        this.searchIndex = index;
+        this.searchIndexProgress = { indexed: 0, total: pending.length };
+        this.clearSearch();
+
+        await this.runWithConcurrency(pending, SUBTITLE_INDEX_CONCURRENCY, async ({ section, lesson, sectionIndex, lessonIndex, file }) => {
+            try {
+                const cues = await this.loadSubtitleCues(section, file);
+                for (const cue of cues) {
+                    index.push({
+                        type: 'cue',
+                        sectionIndex,
+                        lessonIndex,
+                        lessonId: lesson.id,
+                        time: cue.start,
+                        text: cue.text,
+                        searchText: cue.text.toLowerCase()
+                    });
+                }
+            } catch (error) {
+                console.error('Error indexing subtitles for', lesson.name, error);
+            }
+
+            // The user may have switched course while indexing
+            if (this.searchIndex === index) {
+                this.searchIndexProgress.indexed++;
+                this.renderSearchResults();
+            }
+        });
+    }
+
+    async loadSubtitleCues(section, subtitleFile) {
+        const fileData = await subtitleFile.handle.getFile();
+        const cacheKey = `${section.rawName}/${subtitleFile.name}|${fileData.size}|${fileData.lastModified}`;
+
+        const cached = await this.courseDB.getSubtitleCues(cacheKey);
+        if (cached) return cached;
+
+        let text = await fileData.text();
+        if (subtitleFile.name.toLowerCase().endsWith('.srt')) {
+            text = this.convertSrtToVtt(text);
+        }
+
+        const cues = this.parseVttCues(text);
+        await this.courseDB.saveSubtitleCues(cacheKey, cues);
+        return cues;
+    }
+
+    parseVttCues(vttText) {
+        const cues = [];
+
+        for (const block of vttText.replace(/\r\n?/g, '\n').split(/\n{2,}/)) {
+            const lines = block.split('\n');
+            const timingIndex = lines.findIndex(line => line.includes('-->'));
+            if (timingIndex === -1) continue; // Header, NOTE or STYLE block
+
+            const start = this.parseCueTime(lines[timingIndex].split('-->')[0]);
+            const text = lines.slice(timingIndex + 1).join(' ')
+                .replace(/<[^>]+>/g, '')
+                .replace(/&nbsp;/g, ' ')
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&amp;/g, '&')
+                .replace(/\s+/g, ' ')
+                .trim();
+
+            if (start !== null && text) {
+                cues.push({ start, text });
+            }
+        }
+
+        return cues;
+    }
+
+    parseCueTime(timestamp) {
+        // "01:02:03.456" or "02:03.456"
+        const match = timestamp.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/);
+        if (!match) return null;
+
+        const [, hours = 0, minutes, seconds, millis] = match;
+        return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis.padEnd(3, '0')) / 1000;
+    }
+
+    searchCourse(query) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return [];
+
+        const typeOrder = { section: 0, lesson: 1, cue: 2 };
+        return this.searchIndex
+            .filter(entry => terms.every(term => entry.searchText.includes(term)))
+            .sort((a, b) =>
+                typeOrder[a.type] - typeOrder[b.type] ||
+                a.sectionIndex - b.sectionIndex ||
+                (a.lessonIndex || 0) - (b.lessonIndex || 0) ||
+                (a.time || 0) - (b.time || 0));
+    }
+
+    renderSearchResults() {
+        const MAX_SEARCH_RESULTS = 200;
+
+        const query = document.getElementById('courseSearchInput').value.trim();
+        const courseNav = document.getElementById('courseNav');
+        const searchResults = document.getElementById('searchResults');
+        const searchStatus = document.getElementById('searchStatus');
+        const { indexed, total } = this.searchIndexProgress;
+        const indexingText = indexed < total ? `Indexing subtitles ${indexed}/${total}...` : '';
+
+        if (!query) {
+            searchStatus.textContent = indexingText;
+            searchResults.style.display = 'none';
+            courseNav.style.display = '';
+            return;
+        }
+
+        const matches = this.searchCourse(query);
+        const terms = query.toLowerCase().split(/\s+/);
+
+        searchStatus.textContent = [
+            `${matches.length} ${matches.length === 1 ? 'match' : 'matches'}`,
+            matches.length > MAX_SEARCH_RESULTS ? `showing first ${MAX_SEARCH_RESULTS}` : '',
+            indexingText
+        ].filter(Boolean).join(' · ');
+
+        courseNav.style.display = 'none';
+        searchResults.style.display = '';
+        searchResults.innerHTML = '';
+
+        if (matches.length === 0) {
+            searchResults.innerHTML = '<p class="search-empty">No lessons or subtitles match your search.</p>';
+            return;
+        }
+
+        for (const entry of matches.slice(0, MAX_SEARCH_RESULTS)) {
+            const section = this.courseStructure[entry.sectionIndex];
+            const lesson = entry.type === 'section' ? null : section.lessons[entry.lessonIndex];
+
+            const resultEl = document.createElement('button');
+            resultEl.className = `search-result search-result-${entry.type}`;
+            resultEl.innerHTML = `
+                <span class="search-result-header">
+                    <span class="search-result-title"></span>
+                    ${entry.type === 'cue' ? `<span class="note-time">${this.formatDuration(entry.time)}</span>` : ''}
+                </span>
+                <span class="search-result-text"></span>
+            `;
+
+            const titleEl = resultEl.querySelector('.search-result-title');
+            const textEl = resultEl.querySelector('.search-result-text');
+            titleEl.textContent = { section: 'Section', lesson: this.getSectionTitle(section), cue: lesson && lesson.name }[entry.type];
+            this.highlightSearchTerms(textEl, entry.text, terms);
+
+            resultEl.addEventListener('click', () => this.openSearchResult(entry));
+            searchResults.appendChild(resultEl);
+        }
+    }
+
+    highlightSearchTerms(element, text, terms) {
+        const escaped = terms.filter(Boolean).map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+
+        // Split keeps the captured matches at odd indexes
+        text.split(pattern).forEach((part, index) => {
+            if (!part) return;
+            if (index % 2 === 1) {
+                const mark = document.createElement('mark');
+                mark.textContent = part;
+                element.appendChild(mark);
+            } else {
+                element.appendChild(document.createTextNode(part));
+            }
+        });
+    }
+
+    openSearchResult(entry) {
+        if (entry.type === 'cue') {
+            this.jumpToLesson(entry.lessonId, entry.time);
+        } else if (entry.type === 'lesson') {
+            this.loadLesson(entry.sectionIndex, entry.lessonIndex);
+        } else {
+            // Leave the search and reveal the section in the sidebar
+            this.clearSearch();
+            const sectionEl = document.querySelector(`#courseNav .section[data-section-index="${entry.sectionIndex}"]`);
+            if (sectionEl) {
+                // Expand the section along with any collapsed folders around it
+                for (let el = sectionEl; el; el = el.parentElement.closest('#courseNav .section')) {
+                    el.classList.remove('collapsed');
+                }
+                sectionEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+        }
+    }
+
+    // Learning Statistics
+    async showStatistics() {
+        this.endWatchSession();
+
+        document.getElementById('welcomeScreen').style.display = 'none';
+        document.getElementById('lessonContent').style.display = 'none';
+        document.getElementById('statsScreen').style.display = 'flex';
+
+        const statsContent = document.getElementById('statsContent');
+        statsContent.innerHTML = '<div class="loading"></div>';
+
+        try {
+            const sessions = await this.courseDB.getAll('watchSessions');
+            this.renderStatistics(this.computeStatistics(sessions));
+        } catch (error) {
+            console.error('Error loading statistics:', error);
+            statsContent.innerHTML = '<p class="stats-empty">Statistics could not be loaded.</p>';
+        }
+    }
+
+    getDayKey(timestamp) {
+        // Local calendar day, "2025-01-31"
+        const date = new Date(timestamp);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
 
-        const { sectionIndex, lessonIndex } = this.currentLesson;
-        let newSectionIndex = sectionIndex;
-        let newLessonIndex = lessonIndex + direction;
-
-        // Check if we need to move to a different section
-        if (newLessonIndex < 0) {
-            // Move to previous section
-            if (newSectionIndex > 0) {
-                newSectionIndex--;
-                newLessonIndex = this.courseStructure[newSectionIndex].lessons.length - 1;
-            } else {
-                return; // Already at the first lesson
-            }
-        } else if (newLessonIndex >= this.courseStructure[newSectionIndex].lessons.length) {
-            // Move to next section
-            if (newSectionIndex < this.courseStructure.length - 1) {
-                newSectionIndex++;
-                newLessonIndex = 0;
-            } else {
-                return; // Already at the last lesson
+    getWeekStart(timestamp) {
+        // Monday 00:00 of the week containing the timestamp
+        const date = new Date(timestamp);
+        date.setHours(0, 0, 0, 0);
+        date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+        return date.getTime();
+    }
+
+    computeStatistics(sessions, now = Date.now()) {
+        const DAYS_SHOWN = 30;
+        const WEEKS_SHOWN = 12;
+        const DAY = 24 * 60 * 60 * 1000;
+
+        const secondsByDay = new Map();
+        const secondsByWeek = new Map();
+        const secondsByCourse = new Map();
+        for (const session of sessions) {
+            const dayKey = this.getDayKey(session.startedAt);
+            const weekStart = this.getWeekStart(session.startedAt);
+            secondsByDay.set(dayKey, (secondsByDay.get(dayKey) || 0) + session.seconds);
+            secondsByWeek.set(weekStart, (secondsByWeek.get(weekStart) || 0) + session.seconds);
+            secondsByCourse.set(session.courseId, (secondsByCourse.get(session.courseId) || 0) + session.seconds);
+        }
+
+        // Days are walked with noon timestamps so daylight saving changes can't skip or repeat one
+        const today = new Date(now);
+        today.setHours(12, 0, 0, 0);
+        const days = [];
+        for (let i = DAYS_SHOWN - 1; i >= 0; i--) {
+            const key = this.getDayKey(today.getTime() - i * DAY);
+            days.push({ key, seconds: secondsByDay.get(key) || 0 });
+        }
+
+        const weeks = [];
+        const thisWeek = this.getWeekStart(now);
+        for (let i = WEEKS_SHOWN - 1; i >= 0; i--) {
+            const weekStart = this.getWeekStart(thisWeek - i * 7 * DAY + DAY / 2);
+            weeks.push({ weekStart, seconds: secondsByWeek.get(weekStart) || 0, completed: 0 });
+        }
+
+        // Completion dates live in each course's progress record
+        let totalCompleted = 0;
+        for (const progressData of this.progressData.values()) {
+            for (const completedAt of Object.values(progressData.completedDates || {})) {
+                totalCompleted++;
+                const week = weeks.find(w => w.weekStart === this.getWeekStart(completedAt));
+                if (week) week.completed++;
             }
         }
 
-        this.loadLesson(newSectionIndex, newLessonIndex);
-    }
+        // Streaks count consecutive days with any watch time, today may still be empty
+        const studiedDays = [...secondsByDay.keys()].sort();
+        let longestStreak = 0;
+        let streak = 0;
+        let previousDay = null;
+        for (const dayKey of studiedDays) {
+            const date = new Date(`${dayKey}T12:00:00`);
+            streak = previousDay && Math.round((date - previousDay) / DAY) === 1 ? streak + 1 : 1;
+            longestStreak = Math.max(longestStreak, streak);
+            previousDay = date;
+        }
 
-    updateNavigationButtons() {
-        if (!this.currentLesson) return;
+        let currentStreak = 0;
+        let cursor = today.getTime();
+        if (!secondsByDay.has(this.getDayKey(cursor))) cursor -= DAY;
+        while (secondsByDay.has(this.getDayKey(cursor))) {
+            currentStreak++;
+            cursor -= DAY;
+        }
 
-        const { sectionIndex, lessonIndex } = this.currentLesson;
-        const prevBtn = document.getElementById('prevLessonBtn');
-        const nextBtn = document.getElementById('nextLessonBtn');
+        const courses = [...secondsByCourse.entries()]
+            .map(([courseId, seconds]) => {
+                const course = this.courseLibrary.get(courseId);
+                const progressData = this.getProgressData(courseId);
+                return {
+                    name: course ? this.getCourseTitle(course) : (progressData && progressData.courseName) || 'Removed course',
+                    seconds,
+                    percentage: progressData ? progressData.percentage || 0 : 0
+                };
+            })
+            .sort((a, b) => b.seconds - a.seconds);
 
-        // Check if there's a previous lesson
-        const hasPrev = sectionIndex > 0 || lessonIndex > 0;
-        prevBtn.disabled = !hasPrev;
+        return {
+            days,
+            weeks,
+            courses,
+            currentStreak,
+            longestStreak,
+            totalCompleted,
+            todaySeconds: days[days.length - 1].seconds,
+            weekSeconds: weeks[weeks.length - 1].seconds,
+            totalSeconds: sessions.reduce((sum, session) => sum + session.seconds, 0)
+        };
+    }
 
-        // Check if there's a next lesson
-        const hasNext = sectionIndex < this.courseStructure.length - 1 ||
-                       lessonIndex < this.courseStructure[sectionIndex].lessons.length - 1;
-        nextBtn.disabled = !hasNext;
+    formatWatchTime(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.round((seconds % 3600) / 60);
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        return `${minutes}m`;
     }
 
-    updateProgressBar() {
-        const totalLessons = this.courseStructure.reduce((sum, section) =>
-            sum + section.lessons.length, 0);
+    renderStatistics(stats) {
+        const statsContent = document.getElementById('statsContent');
+        const maxDay = Math.max(...stats.days.map(day => day.seconds), 1);
+        const maxWeek = Math.max(...stats.weeks.map(week => week.seconds), 1);
+        const maxCompleted = Math.max(...stats.weeks.map(week => week.completed), 1);
+        const formatDate = (timestamp, options) => new Date(timestamp).toLocaleDateString(undefined, options);
+
+        const renderBars = (items, getValue, max, getTitle, getLabel) => items.map(item => `
+            <div class="stats-bar" title="${getTitle(item)}">
+                <div class="stats-bar-fill" style="height: ${(getValue(item) / max) * 100}%"></div>
+                <span class="stats-bar-label">${getLabel(item)}</span>
+            </div>
+        `).join('');
+
+        statsContent.innerHTML = `
+            <div class="stats-header">
+                <button class="btn-nav" id="statsBackBtn">← Back</button>
+                <h2>Learning Statistics</h2>
+            </div>
+
+            <div class="stats-summary">
+                <div class="stats-card"><span class="stats-value">${this.formatWatchTime(stats.todaySeconds)}</span><span class="stats-label">Today</span></div>
+                <div class="stats-card"><span class="stats-value">${this.formatWatchTime(stats.weekSeconds)}</span><span class="stats-label">This week</span></div>
+                <div class="stats-card"><span class="stats-value">${this.formatWatchTime(stats.totalSeconds)}</span><span class="stats-label">All time</span></div>
+                <div class="stats-card"><span class="stats-value">${stats.currentStreak} ${stats.currentStreak === 1 ? 'day' : 'days'}</span><span class="stats-label">Current streak</span></div>
+                <div class="stats-card"><span class="stats-value">${stats.longestStreak} ${stats.longestStreak === 1 ? 'day' : 'days'}</span><span class="stats-label">Longest streak</span></div>
+                <div class="stats-card"><span class="stats-value">${stats.totalCompleted}</span><span class="stats-label">Lessons completed</span></div>
+            </div>
+
+            <section class="stats-section">
+                <h3>Daily watch time, last 30 days</h3>
+                <div class="stats-chart">
+                    ${renderBars(stats.days, day => day.seconds, maxDay,
+                        day => `${formatDate(`${day.key}T12:00:00`, { month: 'short', day: 'numeric' })}: ${this.formatWatchTime(day.seconds)}`,
+                        day => day.key.slice(-2))}
+                </div>
+            </section>
+
+            <section class="stats-section">
+                <h3>Weekly watch time</h3>
+                <div class="stats-chart">
+                    ${renderBars(stats.weeks, week => week.seconds, maxWeek,
+                        week => `Week of ${formatDate(week.weekStart, { month: 'short', day: 'numeric' })}: ${this.formatWatchTime(week.seconds)}`,
+                        week => formatDate(week.weekStart, { month: 'numeric', day: 'numeric' }))}
+                </div>
+            </section>
+
+            <section class="stats-section">
+                <h3>Lessons completed per week</h3>
+                <div class="stats-chart">
+                    ${renderBars(stats.weeks, week => week.completed, maxCompleted,
+                        week => `Week of ${formatDate(week.weekStart, { month: 'short', day: 'numeric' })}: ${week.completed} completed`,
+                        week => formatDate(week.weekStart, { month: 'numeric', day: 'numeric' }))}
+                </div>
+            </section>
 
-        const completedCount = this.completedLessons.size;
-        const percentage = totalLessons > 0 ? Math.round((completedCount / totalLessons) * 100) : 0;
+            <section class="stats-section">
+                <h3>By course</h3>
+                <div class="stats-courses" id="statsCourses"></div>
+            </section>
+        `;
 
-        document.getElementById('progressBar').style.width = `${percentage}%`;
-        document.getElementById('progressText').textContent = `${percentage}% (${completedCount}/${totalLessons})`;
+        const statsCourses = document.getElementById('statsCourses');
+        if (stats.courses.length === 0) {
+            statsCourses.innerHTML = '<p class="stats-empty">Nothing watched yet. Time spent playing lessons shows up here.</p>';
+        }
+        for (const course of stats.courses) {
+            const courseEl = document.createElement('div');
+            courseEl.className = 'stats-course';
+            courseEl.innerHTML = `
+                <span class="stats-course-name"></span>
+                <span class="stats-course-time">${this.formatWatchTime(course.seconds)}</span>
+                <div class="progress-bar"><div class="progress-fill" style="width: ${course.percentage}%"></div></div>
+                <span class="stats-course-progress">${course.percentage}% complete</span>
+            `;
+            courseEl.querySelector('.stats-course-name').textContent = course.name;
+            statsCourses.appendChild(courseEl);
+        }
+
+        document.getElementById('statsBackBtn').addEventListener('click', () => this.goHome());
     }
 
     // Homepage and Course Library Management
     goHome() {
         // Save the current course as last viewed, but mark that we're on homepage
         if (this.currentCourseId) {
-            localStorage.setItem('last_viewed_course', this.currentCourseId);
+            this.setPreference('last_viewed_course', this.currentCourseId);
         }
-        localStorage.removeItem('last_course_id');
+        this.removePreference('last_course_id');
+        this.endWatchSession();
 
         // Show welcome screen, hide lesson content and sidebar, show add button
         document.getElementById('welcomeScreen').style.display = 'flex';
         document.getElementById('lessonContent').style.display = 'none';
+        document.getElementById('statsScreen').style.display = 'none';
         document.getElementById('sidebar').classList.add('hidden');
         document.getElementById('selectFolderBtn').classList.remove('hidden');
 
@@ -1234,6 +4889,9 @@ class CourseViewer {
         const courseGrid = document.getElementById('courseGrid');
         const emptyLibraryMessage = document.getElementById('emptyLibraryMessage');
 
+        document.getElementById('completionThresholdSelect').value =
+            this.getPreference('completion_threshold', DEFAULT_COMPLETION_THRESHOLD);
+
         if (this.courseLibrary.size === 0) {
             courseLibrary.style.display = 'none';
             emptyLibraryMessage.style.display = 'block';
@@ -1244,17 +4902,25 @@ class CourseViewer {
         emptyLibraryMessage.style.display = 'none';
         courseGrid.innerHTML = '';
 
-        // Convert to array and sort by last accessed
-        const courses = Array.from(this.courseLibrary.entries())
-            .sort((a, b) => b[1].lastAccessed - a[1].lastAccessed);
+        this.renderLibraryToolbar();
 
-        // Get last viewed course for highlighting
-        const lastViewedCourse = localStorage.getItem('last_viewed_course');
+        // Search, filter and sort the library as set in the toolbar, a tag no course has anymore shows all
+        const tag = this.getPreference('library_tag_filter', null);
+        const courses = this.getLibraryView({
+            query: document.getElementById('librarySearchInput').value,
+            status: this.getPreference('library_status_filter', 'all'),
+            tag: this.getAllTags().includes(tag) ? tag : null,
+            sort: this.getPreference('library_sort', 'lastAccessed')
+        });
 
-        courses.forEach(([courseId, courseData]) => {
-            const progress = this.getCourseProgress(courseId);
-            const lastLesson = this.getLastViewedLesson(courseId);
+        if (courses.length === 0) {
+            courseGrid.innerHTML = '<p class="library-no-results">No courses match your search and filters.</p>';
+        }
+
+        // Get last viewed course for highlighting
+        const lastViewedCourse = this.getPreference('last_viewed_course', null);
 
+        courses.forEach(({ courseId, courseData, progress, lastLesson }) => {
             const card = document.createElement('div');
             card.className = 'course-card';
             if (courseId === lastViewedCourse) {
@@ -1262,61 +4928,640 @@ class CourseViewer {
             }
 
             card.innerHTML = `
+                <div class="course-cover" data-course-id="${courseId}">
+                    <span class="course-cover-initial">${this.escapeHtml(this.getCourseTitle(courseData).charAt(0))}</span>
+                </div>
                 <div class="course-card-header">
-                    <h3>${courseData.name}</h3>
+                    <h3>${this.escapeHtml(this.getCourseTitle(courseData))}</h3>
+                    ${courseData.author ? `<p class="course-author">by ${this.escapeHtml(courseData.author)}</p>` : ''}
                     ${progress.totalDuration > 0 ? `<p class="course-duration">${this.formatDuration(progress.totalDuration)}</p>` : ''}
                 </div>
+                ${courseData.description ? `<p class="course-description">${this.escapeHtml(courseData.description)}</p>` : ''}
                 <div class="course-card-progress">
                     <div class="progress-bar">
                         <div class="progress-fill" style="width: ${progress.percentage}%"></div>
                     </div>
                     <p style="margin-top: 0.5rem; font-weight: 700;">${progress.percentage}% Complete</p>
+                    ${progress.newLessons > 0 ? `<span class="course-new-badge">${progress.newLessons} new</span>` : ''}
                 </div>
+                ${courseData.goal ? `<div class="course-goal" data-course-id="${courseId}"></div>` : ''}
+                ${courseData.tags.length > 0 ? '<div class="course-tags"></div>' : ''}
                 <div class="course-card-footer">
-                    <span class="course-last-watched">${lastLesson || 'Not started'}</span>
-                    <button class="btn-delete" onclick="courseViewer.deleteCourse('${courseId}', event)">DELETE</button>
+                    <span class="course-last-watched">${lastLesson ? this.escapeHtml(lastLesson) : 'Not started'}</span>
+                    <span class="course-card-actions">
+                        <button class="btn-card btn-rescan" title="Look for added, removed or renamed lessons">RESCAN</button>
+                        <button class="btn-card btn-cover">COVER</button>
+                        <button class="btn-card btn-tags">TAGS</button>
+                        <button class="btn-card btn-goal">GOAL</button>
+                        <button class="btn-delete" data-course-id="${courseId}">DELETE</button>
+                    </span>
                 </div>
             `;
 
+            const tagsEl = card.querySelector('.course-tags');
+            courseData.tags.forEach(tag => {
+                const tagEl = document.createElement('span');
+                tagEl.className = 'course-tag';
+                tagEl.textContent = tag;
+                tagsEl.appendChild(tagEl);
+            });
+
+            card.querySelector('.btn-tags').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.openTagsDialog(courseId);
+            });
+
+            card.querySelector('.btn-rescan').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.loadCourseFromLibrary(courseId, { rescan: true });
+            });
+
+            card.querySelector('.btn-cover').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.openCoverDialog(courseId);
+            });
+
+            card.querySelector('.btn-goal').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.openGoalDialog(courseId);
+            });
+
+            card.querySelector('.btn-delete').addEventListener('click', (e) => {
+                this.deleteCourse(e.currentTarget.dataset.courseId, e);
+            });
+
             card.addEventListener('click', async (e) => {
                 if (e.target.classList.contains('btn-delete')) return;
                 await this.loadCourseFromLibrary(courseId);
             });
 
-            courseGrid.appendChild(card);
+            courseGrid.appendChild(card);
+        });
+
+        // Goal status needs the watch session log, filled in once it's read
+        this.renderGoalBadges();
+        this.renderCourseCovers();
+    }
+
+    // Library Toolbar
+    setupLibraryToolbar() {
+        document.getElementById('librarySearchInput').addEventListener('input', () => this.renderHomepage());
+
+        document.getElementById('librarySortSelect').addEventListener('change', (e) => {
+            this.setPreference('library_sort', e.target.value);
+            this.renderHomepage();
+        });
+
+        document.getElementById('libraryStatusFilter').addEventListener('change', (e) => {
+            this.setPreference('library_status_filter', e.target.value);
+            this.renderHomepage();
+        });
+
+        // Clicking the selected tag again shows every course
+        document.getElementById('libraryTagFilter').addEventListener('click', (e) => {
+            const tagEl = e.target.closest('.library-tag');
+            if (!tagEl) return;
+
+            const tag = tagEl.dataset.tag || null;
+            const current = this.getPreference('library_tag_filter', null);
+            this.setPreference('library_tag_filter', tag === current ? null : tag);
+            this.renderHomepage();
+        });
+    }
+
+    renderLibraryToolbar() {
+        document.getElementById('librarySortSelect').value = this.getPreference('library_sort', 'lastAccessed');
+        document.getElementById('libraryStatusFilter').value = this.getPreference('library_status_filter', 'all');
+
+        const tags = this.getAllTags();
+        const tagFilter = document.getElementById('libraryTagFilter');
+        const selectedTag = this.getPreference('library_tag_filter', null);
+
+        tagFilter.innerHTML = '';
+        tagFilter.hidden = tags.length === 0;
+        if (tags.length === 0) return;
+
+        [null, ...tags].forEach(tag => {
+            const tagEl = document.createElement('button');
+            tagEl.className = `library-tag ${tag === selectedTag || (!tag && !tags.includes(selectedTag)) ? 'active' : ''}`;
+            tagEl.dataset.tag = tag || '';
+            tagEl.textContent = tag || 'All';
+            tagFilter.appendChild(tagEl);
+        });
+    }
+
+    getLibraryView({ query, status, tag, sort }) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        const courses = Array.from(this.courseLibrary.entries()).map(([courseId, courseData]) => {
+            const progress = this.getCourseProgress(courseId);
+            const lastLesson = this.getLastViewedLesson(courseId);
+            return { courseId, courseData, progress, lastLesson, status: this.getCourseStatus(progress, lastLesson) };
+        });
+
+        // Every search term has to match the title, folder name, author, description or a tag
+        const matches = courses.filter(course => {
+            const { courseData } = course;
+            const text = [courseData.title, courseData.name, courseData.author, courseData.description, ...courseData.tags]
+                .filter(Boolean).join(' ').toLowerCase();
+
+            return terms.every(term => text.includes(term)) &&
+                (status === 'all' || course.status === status) &&
+                (!tag || courseData.tags.includes(tag));
+        });
+
+        const compare = {
+            lastAccessed: (a, b) => b.courseData.lastAccessed - a.courseData.lastAccessed,
+            name: (a, b) => this.naturalSort(this.getCourseTitle(a.courseData).toLowerCase(), this.getCourseTitle(b.courseData).toLowerCase()),
+            addedDate: (a, b) => b.courseData.addedDate - a.courseData.addedDate,
+            progress: (a, b) => b.progress.percentage - a.progress.percentage,
+            duration: (a, b) => b.progress.totalDuration - a.progress.totalDuration
+        }[sort] || ((a, b) => b.courseData.lastAccessed - a.courseData.lastAccessed);
+
+        return matches.sort(compare);
+    }
+
+    getCourseStatus(progress, lastLesson) {
+        if (progress.total > 0 && progress.completed >= progress.total) return 'completed';
+        if (progress.completed > 0 || lastLesson) return 'in-progress';
+        return 'not-started';
+    }
+
+    getAllTags() {
+        const tags = new Set();
+        for (const courseData of this.courseLibrary.values()) {
+            courseData.tags.forEach(tag => tags.add(tag));
+        }
+        return [...tags].sort((a, b) => a.localeCompare(b));
+    }
+
+    // Course Tags
+    setupTagsDialog() {
+        const overlay = document.getElementById('tagsOverlay');
+
+        document.getElementById('tagsForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveTags();
+        });
+        document.getElementById('tagsCancelBtn').addEventListener('click', () => this.closeTagsDialog());
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.closeTagsDialog();
+        });
+    }
+
+    openTagsDialog(courseId) {
+        const courseData = this.courseLibrary.get(courseId);
+        if (!courseData) return;
+
+        this.tagsCourseId = courseId;
+        document.getElementById('tagsTitle').textContent = `Tags: ${this.getCourseTitle(courseData)}`;
+        document.getElementById('newTagInput').value = '';
+
+        // Every tag in the library can be toggled, new ones are typed in
+        const tagsList = document.getElementById('tagsList');
+        tagsList.innerHTML = '';
+        this.getAllTags().forEach(tag => {
+            const label = document.createElement('label');
+            label.className = 'goal-option';
+            label.innerHTML = '<input type="checkbox" name="courseTag">';
+            label.querySelector('input').value = tag;
+            label.querySelector('input').checked = courseData.tags.includes(tag);
+            label.append(tag);
+            tagsList.appendChild(label);
+        });
+
+        document.getElementById('tagsOverlay').style.display = 'flex';
+        document.getElementById('newTagInput').focus();
+    }
+
+    closeTagsDialog() {
+        this.tagsCourseId = null;
+        document.getElementById('tagsOverlay').style.display = 'none';
+    }
+
+    saveTags() {
+        const courseData = this.courseLibrary.get(this.tagsCourseId);
+        if (!courseData) return;
+
+        const checked = Array.from(document.querySelectorAll('#tagsList input[name="courseTag"]:checked'), input => input.value);
+        const added = document.getElementById('newTagInput').value.split(',').map(tag => tag.trim()).filter(Boolean);
+        courseData.tags = [...new Set([...checked, ...added])].sort((a, b) => a.localeCompare(b));
+
+        this.saveCourseLibrary();
+        this.closeTagsDialog();
+        this.renderHomepage();
+    }
+
+    // Course Covers
+    async updateCourseCover(courseId, dirHandle, structure) {
+        try {
+            // A cover the user picked stays until they reset it
+            const stored = await this.courseDB.getThumbnail(courseId);
+            if (stored && stored.source === 'custom') return;
+
+            // A cover image in the course root wins over a frame from the first video
+            let coverHandle = null;
+            const rootFiles = new Map();
+            for await (const entry of dirHandle.values()) {
+                if (entry.kind === 'file') rootFiles.set(entry.name.toLowerCase(), entry);
+            }
+            const coverName = COVER_FILE_NAMES.find(name => rootFiles.has(name));
+            if (coverName) coverHandle = rootFiles.get(coverName);
+
+            const firstVideo = structure.flatMap(section => section.lessons)
+                .map(lesson => ({ lesson, media: this.getMediaFile(lesson) }))
+                .find(({ media }) => media.type === 'video');
+            if (!coverHandle && !firstVideo) return;
+
+            // Thumbnails are only made again when their source file changed
+            const file = await (coverHandle || firstVideo.media.handle).getFile();
+            const key = `${coverHandle ? coverHandle.name : firstVideo.lesson.id}|${file.size}|${file.lastModified}`;
+            if (stored && stored.key === key) return;
+
+            const blob = coverHandle ? await this.resizeCoverImage(file) : await this.captureVideoFrame(file);
+            await this.courseDB.saveThumbnail({ courseId, source: coverHandle ? 'file' : 'frame', key, blob });
+            this.renderCourseCovers();
+        } catch (error) {
+            console.error('Error creating course cover:', error);
+        }
+    }
+
+    captureVideoFrame(file, time = null) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const video = document.createElement('video');
+            video.preload = 'auto';
+            video.muted = true;
+
+            // Some files never get to a frame, so the capture has a deadline
+            const timeout = setTimeout(() => fail(new Error('Timed out loading video for the cover')), COVER_CAPTURE_TIMEOUT);
+
+            const cleanup = () => {
+                clearTimeout(timeout);
+                URL.revokeObjectURL(url);
+                video.removeAttribute('src');
+                video.load();
+            };
+
+            const fail = (error) => {
+                cleanup();
+                reject(error);
+            };
+
+            video.addEventListener('loadedmetadata', () => {
+                // The first frames are often black or a title card, so skip ahead a little
+                if (time === null && !Number.isFinite(video.duration)) {
+                    fail(new Error('Video has no known length for the cover'));
+                    return;
+                }
+                video.currentTime = time !== null ? time : Math.min(video.duration * 0.1, 30);
+            });
+
+            video.addEventListener('seeked', async () => {
+                try {
+                    resolve(await this.drawThumbnail(video, video.videoWidth, video.videoHeight));
+                } catch (error) {
+                    reject(error);
+                } finally {
+                    cleanup();
+                }
+            }, { once: true });
+
+            video.addEventListener('error', () => fail(new Error('Failed to load video for the cover')));
+
+            video.src = url;
+        });
+    }
+
+    async resizeCoverImage(file) {
+        const bitmap = await createImageBitmap(file);
+        try {
+            return await this.drawThumbnail(bitmap, bitmap.width, bitmap.height);
+        } finally {
+            bitmap.close();
+        }
+    }
+
+    drawThumbnail(source, width, height) {
+        if (!width || !height) {
+            return Promise.reject(new Error('Nothing to draw a cover from'));
+        }
+
+        const scale = Math.min(1, THUMBNAIL_WIDTH / width);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to encode the cover'))), 'image/jpeg', 0.85);
+        });
+    }
+
+    async renderCourseCovers() {
+        const coverEls = document.querySelectorAll('.course-cover[data-course-id]');
+
+        // Each search keystroke renders again, only the latest render fills in covers
+        const token = {};
+        this.coverRenderToken = token;
+
+        // Covers of the previous render are released
+        this.coverUrls.forEach(url => URL.revokeObjectURL(url));
+        this.coverUrls = [];
+
+        for (const coverEl of coverEls) {
+            try {
+                const thumbnail = await this.courseDB.getThumbnail(coverEl.dataset.courseId);
+                if (this.coverRenderToken !== token) return;
+                if (!thumbnail) continue;
+
+                const url = URL.createObjectURL(thumbnail.blob);
+                this.coverUrls.push(url);
+                coverEl.style.backgroundImage = `url("${url}")`;
+                coverEl.classList.add('has-image');
+            } catch (error) {
+                console.error('Error loading course cover:', error);
+            }
+        }
+    }
+
+    setupCoverDialog() {
+        const overlay = document.getElementById('coverOverlay');
+        const coverFileInput = document.getElementById('coverFileInput');
+
+        document.getElementById('coverImageBtn').addEventListener('click', () => coverFileInput.click());
+        coverFileInput.addEventListener('change', async () => {
+            const file = coverFileInput.files[0];
+            coverFileInput.value = '';
+            if (file) await this.setCustomCover(this.coverCourseId, () => this.resizeCoverImage(file));
+        });
+
+        document.getElementById('coverResetBtn').addEventListener('click', () => this.resetCover());
+        document.getElementById('coverCancelBtn').addEventListener('click', () => this.closeCoverDialog());
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.closeCoverDialog();
+        });
+    }
+
+    openCoverDialog(courseId) {
+        const courseData = this.courseLibrary.get(courseId);
+        if (!courseData) return;
+
+        this.coverCourseId = courseId;
+        document.getElementById('coverTitle').textContent = `Cover: ${this.getCourseTitle(courseData)}`;
+        document.getElementById('coverOverlay').style.display = 'flex';
+    }
+
+    closeCoverDialog() {
+        this.coverCourseId = null;
+        document.getElementById('coverOverlay').style.display = 'none';
+    }
+
+    async setCustomCover(courseId, createBlob) {
+        if (!courseId) return;
+
+        try {
+            const blob = await createBlob();
+            await this.courseDB.saveThumbnail({ courseId, source: 'custom', key: null, blob });
+        } catch (error) {
+            console.error('Error setting course cover:', error);
+            await this.showModal('The cover could not be created from this image or frame.', 'Course Cover');
+            return;
+        }
+
+        if (this.coverCourseId) {
+            this.closeCoverDialog();
+            this.renderHomepage();
+        } else {
+            this.showPlayerToast('Course cover updated');
+        }
+    }
+
+    async resetCover() {
+        // The automatic cover is made again the next time the course is opened
+        await this.courseDB.deleteThumbnail(this.coverCourseId);
+        this.closeCoverDialog();
+        this.renderHomepage();
+    }
+
+    // Study Goals
+    setupGoalDialog() {
+        const overlay = document.getElementById('goalOverlay');
+        const goalForm = document.getElementById('goalForm');
+
+        // Picking a date or a number selects its goal type
+        document.getElementById('goalDateInput').addEventListener('focus', () => {
+            goalForm.elements.goalType.value = 'date';
+        });
+        document.getElementById('goalMinutesInput').addEventListener('focus', () => {
+            goalForm.elements.goalType.value = 'daily';
+        });
+
+        goalForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveGoal();
+        });
+        document.getElementById('goalCancelBtn').addEventListener('click', () => this.closeGoalDialog());
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.closeGoalDialog();
+        });
+    }
+
+    openGoalDialog(courseId) {
+        const courseData = this.courseLibrary.get(courseId);
+        if (!courseData) return;
+
+        const goal = courseData.goal;
+        const goalForm = document.getElementById('goalForm');
+        const dateInput = document.getElementById('goalDateInput');
+
+        this.goalCourseId = courseId;
+        document.getElementById('goalTitle').textContent = `Study Goal: ${this.getCourseTitle(courseData)}`;
+        goalForm.elements.goalType.value = goal ? goal.type : 'none';
+        dateInput.min = this.getDayKey(Date.now());
+        dateInput.value = goal && goal.type === 'date' ? goal.date : '';
+        document.getElementById('goalMinutesInput').value = goal && goal.type === 'daily' ? goal.minutes : 30;
+
+        document.getElementById('goalOverlay').style.display = 'flex';
+    }
+
+    closeGoalDialog() {
+        this.goalCourseId = null;
+        document.getElementById('goalOverlay').style.display = 'none';
+    }
+
+    async saveGoal() {
+        const courseData = this.courseLibrary.get(this.goalCourseId);
+        if (!courseData) return;
+
+        const goalType = document.getElementById('goalForm').elements.goalType.value;
+        const date = document.getElementById('goalDateInput').value;
+        const minutes = parseInt(document.getElementById('goalMinutesInput').value);
+
+        if (goalType === 'date') {
+            if (!date) {
+                await this.showModal('Pick the date you want to finish by.', 'Study Goal');
+                return;
+            }
+            courseData.goal = { type: 'date', date };
+        } else if (goalType === 'daily') {
+            if (!(minutes > 0)) {
+                await this.showModal('Enter how many minutes a day you want to study.', 'Study Goal');
+                return;
+            }
+            courseData.goal = { type: 'daily', minutes };
+        } else {
+            delete courseData.goal;
+        }
+
+        this.saveCourseLibrary();
+        this.closeGoalDialog();
+        this.renderHomepage();
+    }
+
+    getStudyPace(courseSessions, now = Date.now()) {
+        // Average daily watch time over the last two weeks, or since the first session when newer
+        const PACE_WINDOW_DAYS = 14;
+        const DAY = 24 * 60 * 60 * 1000;
+
+        const windowStart = now - PACE_WINDOW_DAYS * DAY;
+        const recent = courseSessions.filter(session => session.startedAt >= windowStart);
+        if (recent.length === 0) return 0;
+
+        const firstSession = Math.min(...courseSessions.map(session => session.startedAt));
+        const days = Math.min(PACE_WINDOW_DAYS, Math.floor((now - firstSession) / DAY) + 1);
+        return recent.reduce((sum, session) => sum + session.seconds, 0) / days;
+    }
+
+    getGoalStatus(goal, remainingSeconds, paceSeconds, now = Date.now()) {
+        const DAY = 24 * 60 * 60 * 1000;
+
+        if (remainingSeconds <= 0) {
+            return { status: 'done', requiredPerDay: 0, projectedDate: null };
+        }
+
+        // Projection uses the recorded pace, or the daily goal until there is one
+        const projectionPace = paceSeconds > 0 ? paceSeconds : (goal.type === 'daily' ? goal.minutes * 60 : 0);
+        const projectedDate = projectionPace > 0 ? now + Math.ceil(remainingSeconds / projectionPace) * DAY : null;
+
+        if (goal.type === 'daily') {
+            const requiredPerDay = goal.minutes * 60;
+            return {
+                status: paceSeconds >= requiredPerDay ? 'on-track' : 'behind',
+                requiredPerDay,
+                projectedDate
+            };
+        }
+
+        // Whole days left including the goal date itself
+        const deadline = new Date(`${goal.date}T23:59:59`).getTime();
+        const daysLeft = Math.ceil((deadline - now) / DAY);
+        if (daysLeft <= 0) {
+            return { status: 'behind', requiredPerDay: remainingSeconds, projectedDate, overdue: true };
+        }
+
+        const requiredPerDay = remainingSeconds / daysLeft;
+        return {
+            status: paceSeconds >= requiredPerDay ? 'on-track' : 'behind',
+            requiredPerDay,
+            projectedDate
+        };
+    }
+
+    async renderGoalBadges() {
+        const goalEls = document.querySelectorAll('.course-goal[data-course-id]');
+        if (goalEls.length === 0) return;
+
+        let sessions = [];
+        try {
+            sessions = await this.courseDB.getAll('watchSessions');
+        } catch (error) {
+            console.error('Error loading watch sessions for goals:', error);
+        }
+
+        const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+        const badgeText = { 'on-track': 'On track', behind: 'Behind', done: 'Done' };
+
+        goalEls.forEach(goalEl => {
+            const courseId = goalEl.dataset.courseId;
+            const courseData = this.courseLibrary.get(courseId);
+            if (!courseData || !courseData.goal) return;
+
+            const goal = courseData.goal;
+            const pace = this.getStudyPace(sessions.filter(session => session.courseId === courseId));
+            // Without lesson durations there is nothing to measure the goal against
+            const { remainingDuration } = this.getCourseProgress(courseId);
+            if (remainingDuration === null) {
+                goalEl.innerHTML = '';
+                return;
+            }
+            const result = this.getGoalStatus(goal, remainingDuration, pace);
+
+            const goalText = goal.type === 'date'
+                ? `Finish by ${formatDate(`${goal.date}T12:00:00`)}`
+                : `${goal.minutes} min a day`;
+            const details = [];
+            if (result.status !== 'done') {
+                if (goal.type === 'date') {
+                    details.push(result.overdue
+                        ? `${this.formatWatchTime(remainingDuration)} left, past the goal date`
+                        : `Watch ${this.formatWatchTime(result.requiredPerDay)} a day`);
+                }
+                details.push(result.projectedDate ? `Projected finish ${formatDate(result.projectedDate)}` : 'Start watching to get a projected finish');
+            }
+
+            goalEl.innerHTML = `
+                <div class="course-goal-header">
+                    <span class="course-goal-text">${goalText}</span>
+                    <span class="goal-badge ${result.status}">${badgeText[result.status]}</span>
+                </div>
+                ${details.map(detail => `<p class="course-goal-detail">${detail}</p>`).join('')}
+            `;
         });
     }
 
     getCourseProgress(courseId) {
-        const progressData = localStorage.getItem(`course_progress_${courseId}`);
-        if (!progressData) {
-            return { percentage: 0, completed: 0, total: 0, totalDuration: 0 };
+        const data = this.getProgressData(courseId);
+        if (!data) {
+            return { percentage: 0, completed: 0, total: 0, totalDuration: 0, remainingDuration: null, newLessons: 0 };
+        }
+
+        // Remaining time is null while lesson durations are unknown, unless every lesson is done
+        const totalDuration = data.totalDuration || 0;
+        let remainingDuration = null;
+        if (totalDuration > 0) {
+            // Records saved before remaining time was tracked estimate it from the percentage
+            remainingDuration = typeof data.remainingDuration === 'number'
+                ? data.remainingDuration
+                : totalDuration * (1 - (data.percentage || 0) / 100);
+        } else if (data.totalLessons > 0 && data.completedCount >= data.totalLessons) {
+            remainingDuration = 0;
         }
 
-        const data = JSON.parse(progressData);
         return {
             percentage: data.percentage || 0,
             completed: data.completedCount || 0,
             total: data.totalLessons || 0,
-            totalDuration: data.totalDuration || 0
+            totalDuration,
+            remainingDuration,
+            newLessons: (data.newLessons || []).length
         };
     }
 
     getLastViewedLesson(courseId) {
-        const sessionData = localStorage.getItem(`last_session_${courseId}`);
-        if (!sessionData) return null;
+        const data = this.loadLastSessionForCourse(courseId);
+        if (!data) return null;
 
-        const data = JSON.parse(sessionData);
         return data.lessonName || null;
     }
 
-    async loadCourseFromLibrary(courseId) {
+    async loadCourseFromLibrary(courseId, { rescan = false } = {}) {
         const courseData = this.courseLibrary.get(courseId);
         if (!courseData) return;
 
         try {
             // Try to get handle from IndexedDB first
-            let handle = await this.handleDB.getHandle(courseId);
+            let handle = await this.courseDB.getHandle(courseId);
 
             if (handle) {
                 // We have a stored handle, verify we can still access it
@@ -1343,14 +5588,24 @@ class CourseViewer {
                 }
             }
 
+            // Folders read from files stay usable until the page is closed
+            if (!handle && this.isSessionOnlyHandle(courseData.handle)) {
+                handle = courseData.handle;
+                this.directoryHandle = handle;
+            }
+
             // If we don't have a valid handle, request the folder
             if (!handle) {
+                const sessionNote = 'showDirectoryPicker' in window
+                    ? ''
+                    : `\n\nThis browser can't keep access to folders, so the folder is selected again each session.`;
                 await this.showModal(
-                    `Please select the course folder:\n"${courseData.name}"`,
+                    `Please select the course folder:\n"${courseData.name}"${sessionNote}`,
                     'Select Course Folder'
                 );
 
-                this.directoryHandle = await window.showDirectoryPicker();
+                this.directoryHandle = await this.pickCourseFolder();
+                if (!this.directoryHandle) return;
 
                 // Verify it's the same course by checking the name
                 if (this.directoryHandle.name !== courseData.name) {
@@ -1362,19 +5617,28 @@ class CourseViewer {
                 }
 
                 // Save the new handle to IndexedDB
-                await this.handleDB.saveHandle(courseId, this.directoryHandle);
+                if (!this.isSessionOnlyHandle(this.directoryHandle)) {
+                    await this.courseDB.saveHandle(courseId, this.directoryHandle);
+                }
                 courseData.handle = this.directoryHandle;
             }
 
-            this.courseName = courseData.name;
+            // The manifest is read on every open, so edits to it show up right away
+            const manifest = await this.loadCourseManifest(this.directoryHandle);
+            Object.assign(courseData, this.getManifestDetails(manifest));
+
+            this.courseName = this.getCourseTitle(courseData);
             this.currentCourseId = courseId;
 
             // Update last accessed
             courseData.lastAccessed = Date.now();
             this.saveCourseLibrary();
 
-            this.courseStructure = await this.parseCourseStructure(this.directoryHandle);
+            this.courseStructure = await this.parseCourseStructure(this.directoryHandle, manifest);
+            await this.migrateLessonIds(courseId);
+            const changes = await this.detectLessonChanges(courseId);
             this.loadCourseProgress(courseId);
+            await this.loadCourseRecords(courseId);
 
             // Save progress to update duration info
             this.saveCourseProgress(courseId);
@@ -1382,20 +5646,36 @@ class CourseViewer {
             this.renderCourseNavigation();
             this.updateProgressBar();
 
+            // Durations missing from the cache are probed in the background
+            this.probeMissingDurations(this.courseStructure);
+
+            // Subtitles are indexed for search in the background, cached per file
+            this.buildSearchIndex(this.courseStructure);
+
+            // The cover thumbnail is refreshed in the background when its source changed
+            this.updateCourseCover(courseId, this.directoryHandle, this.courseStructure);
+
             // Load last viewed lesson or first lesson
             const lastSession = this.loadLastSessionForCourse(courseId);
-            if (lastSession && lastSession.sectionIndex !== undefined && lastSession.lessonIndex !== undefined) {
-                await this.loadLesson(lastSession.sectionIndex, lastSession.lessonIndex);
+            const lastLesson = lastSession ? this.findLessonById(lastSession.lessonId) : null;
+            if (lastLesson) {
+                await this.loadLesson(lastLesson.sectionIndex, lastLesson.lessonIndex);
             } else {
                 this.showLessonContent();
             }
 
             // Show course view, hide sidebar hidden class, hide add button
             document.getElementById('welcomeScreen').style.display = 'none';
+            document.getElementById('statsScreen').style.display = 'none';
             document.getElementById('lessonContent').style.display = 'flex';
             document.getElementById('sidebar').classList.remove('hidden');
             document.getElementById('selectFolderBtn').classList.add('hidden');
 
+            // A rescan reports what changed in the folder since the course was last opened
+            if (rescan) {
+                await this.showModal(this.formatLessonChanges(changes), 'Rescan Complete');
+            }
+
         } catch (error) {
             if (error.name === 'AbortError') {
                 // User cancelled the folder selection
@@ -1424,88 +5704,827 @@ class CourseViewer {
             this.saveCourseLibrary();
 
             // Clean up stored data
-            localStorage.removeItem(`course_progress_${courseId}`);
-            localStorage.removeItem(`last_session_${courseId}`);
-
-            // Delete handle from IndexedDB
-            await this.handleDB.deleteHandle(courseId);
+            this.deleteProgressData(courseId);
+            this.deleteSessionData(courseId);
+            delete this.videoProgress[courseId];
+            this.saveVideoProgress(courseId);
+
+            // Delete handle and course records (notes...) from IndexedDB, time watched stays in the statistics
+            await this.courseDB.deleteHandle(courseId);
+            await this.courseDB.deleteThumbnail(courseId);
+            await this.courseDB.deleteAllByIndex('storyboards', 'courseId', courseId);
+            for (const storeName of COURSE_RECORD_STORES.filter(storeName => storeName !== 'watchSessions')) {
+                await this.courseDB.deleteAllByIndex(storeName, 'courseId', courseId);
+            }
 
             this.renderHomepage();
         }
     }
 
     showLessonContent() {
-        // Auto-load first lesson if available
-        if (this.courseStructure.length > 0 && this.courseStructure[0].lessons.length > 0) {
-            this.loadLesson(0, 0);
+        // Auto-load first lesson if available, the first sections may hold resources only
+        const sectionIndex = this.courseStructure.findIndex(section => section.lessons.length > 0);
+        if (sectionIndex !== -1) {
+            this.loadLesson(sectionIndex, 0);
+        }
+    }
+
+    // Backup and Restore
+    async collectBackupData() {
+        const progress = {};
+        const sessions = {};
+        const videoProgress = {};
+
+        for (const courseId of this.courseLibrary.keys()) {
+            const progressData = this.getProgressData(courseId);
+            if (progressData) progress[courseId] = progressData;
+
+            const sessionData = this.loadLastSessionForCourse(courseId);
+            if (sessionData) sessions[courseId] = sessionData;
+
+            if (this.videoProgress[courseId]) videoProgress[courseId] = this.videoProgress[courseId];
+        }
+
+        const preferences = {};
+        for (const key of BACKUP_PREFERENCE_KEYS) {
+            if (this.preferences.has(key)) preferences[key] = this.preferences.get(key);
+        }
+
+        // Record ids are local to this browser, imports assign new ones
+        const records = {};
+        for (const storeName of COURSE_RECORD_STORES) {
+            const all = await this.courseDB.getAll(storeName);
+            records[storeName] = all
+                .filter(record => this.courseLibrary.has(record.courseId))
+                .map(({ id, ...record }) => record);
+        }
+
+        return {
+            library: this.serializeCourseLibrary(),
+            progress,
+            sessions,
+            videoProgress,
+            preferences,
+            records
+        };
+    }
+
+    async exportBackup() {
+        const backup = {
+            app: 'oh-my-course',
+            version: BACKUP_VERSION,
+            exportedAt: new Date().toISOString(),
+            ...(await this.collectBackupData())
+        };
+
+        const date = new Date().toISOString().slice(0, 10);
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        this.downloadBlob(blob, `oh-my-course-backup-${date}.json`);
+    }
+
+    validateBackup(backup) {
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (!isObject(backup) || backup.app !== 'oh-my-course') {
+            throw new Error('This file is not an Oh My Course! backup.');
+        }
+        if (!Number.isInteger(backup.version) || backup.version < 1 || backup.version > BACKUP_VERSION) {
+            throw new Error(`Unsupported backup version: ${backup.version}.`);
+        }
+        if (!Array.isArray(backup.library) ||
+            !backup.library.every(course => isObject(course) && typeof course.id === 'string' && COURSE_ID_PATTERN.test(course.id) &&
+                typeof course.name === 'string' &&
+                (course.tags === undefined || (Array.isArray(course.tags) && course.tags.every(tag => typeof tag === 'string'))))) {
+            throw new Error('The course library in this backup is invalid.');
+        }
+        for (const course of backup.library) {
+            if (course.goal !== undefined && !this.isValidGoal(course.goal)) {
+                throw new Error(`The study goal of "${course.name}" in this backup is invalid.`);
+            }
+            if (course.playback !== undefined && !this.isValidPlayback(course.playback)) {
+                throw new Error(`The playback settings of "${course.name}" in this backup are invalid.`);
+            }
+        }
+        for (const key of ['progress', 'sessions', 'videoProgress', 'preferences']) {
+            if (!isObject(backup[key]) ||
+                (key !== 'preferences' && !Object.keys(backup[key]).every(courseId => COURSE_ID_PATTERN.test(courseId)))) {
+                throw new Error(`The "${key}" data in this backup is invalid.`);
+            }
+        }
+        const isOptional = (value, type) => value === undefined || typeof value === type;
+        if (!Object.values(backup.sessions).every(session => isObject(session) &&
+            isOptional(session.lessonId, 'string') && isOptional(session.lessonName, 'string') && isOptional(session.timestamp, 'number'))) {
+            throw new Error('The last watched lessons in this backup are invalid.');
+        }
+        if (!Object.values(backup.videoProgress).every(positions => isObject(positions) &&
+            Object.values(positions).every(time => Number.isFinite(time) && time >= 0))) {
+            throw new Error('The video positions in this backup are invalid.');
+        }
+        for (const progressData of Object.values(backup.progress)) {
+            if (!isObject(progressData) || !Array.isArray(progressData.completedLessons || [])) {
+                throw new Error('The course progress in this backup is invalid.');
+            }
+            // Counts end up in the library cards, older records may lack some of them
+            const isCount = (value) => value === undefined || Number.isFinite(value);
+            if (!['percentage', 'completedCount', 'totalLessons', 'totalDuration'].every(key => isCount(progressData[key])) ||
+                !(progressData.remainingDuration === null || isCount(progressData.remainingDuration))) {
+                throw new Error('The course progress in this backup is invalid.');
+            }
+            if (progressData.percentage !== undefined) {
+                progressData.percentage = Math.min(100, Math.max(0, progressData.percentage));
+            }
+            const watchedIntervals = progressData.watchedIntervals || {};
+            if (!isObject(watchedIntervals) || !Object.values(watchedIntervals).every(intervals =>
+                Array.isArray(intervals) && intervals.every(range => Array.isArray(range) && range.length === 2))) {
+                throw new Error('The watched progress in this backup is invalid.');
+            }
+        }
+        // Records are optional, older backups don't have them
+        if (backup.records !== undefined) {
+            if (!isObject(backup.records) ||
+                !Object.values(backup.records).every(records => Array.isArray(records) && records.every(isObject))) {
+                throw new Error('The notes and other records in this backup are invalid.');
+            }
+        }
+    }
+
+    isValidGoal(goal) {
+        if (goal === null || typeof goal !== 'object') return false;
+        if (goal.type === 'date') return typeof goal.date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(goal.date);
+        if (goal.type === 'daily') return Number.isInteger(goal.minutes) && goal.minutes > 0;
+        return false;
+    }
+
+    isValidPlayback(playback) {
+        // Assigning a rate outside what the player offers can throw in the browser
+        return playback !== null && typeof playback === 'object' &&
+            (playback.rate === undefined || (Number.isFinite(playback.rate) &&
+                playback.rate >= PLAYBACK_RATES[0] && playback.rate <= PLAYBACK_RATES[PLAYBACK_RATES.length - 1])) &&
+            (playback.volume === undefined || (Number.isFinite(playback.volume) && playback.volume >= 0 && playback.volume <= 1)) &&
+            (playback.muted === undefined || typeof playback.muted === 'boolean');
+    }
+
+    async importBackup(file) {
+        let backup;
+        try {
+            backup = JSON.parse(await file.text());
+            this.validateBackup(backup);
+        } catch (error) {
+            const message = error instanceof SyntaxError ? 'The selected file is not valid JSON.' : error.message;
+            await this.showModal(message, 'Import Failed');
+            return;
+        }
+
+        const merge = await this.showModal(
+            `This backup contains ${backup.library.length} course(s).\n\nMerge it with your current data, or replace your current library, progress and preferences?`,
+            'Import Backup',
+            true,
+            { confirmText: 'MERGE', cancelText: 'REPLACE' }
+        );
+        if (merge === null) return;
+
+        if (merge) {
+            this.mergeBackupData(backup);
+        } else {
+            await this.replaceWithBackupData(backup);
+        }
+        await this.importBackupRecords(backup, merge);
+
+        this.saveCourseLibrary();
+        this.captionPreference = this.loadCaptionPreference();
+        this.shortcuts = this.loadShortcuts();
+        this.goHome();
+
+        await this.showModal(`Imported ${backup.library.length} course(s).`, 'Import Complete');
+        await this.relinkMissingFolders();
+    }
+
+    mergeBackupData(backup) {
+        for (const course of backup.library) {
+            const existing = this.courseLibrary.get(course.id);
+            if (existing) {
+                existing.addedDate = Math.min(existing.addedDate || Date.now(), course.addedDate || Date.now());
+                existing.lastAccessed = Math.max(existing.lastAccessed || 0, course.lastAccessed || 0);
+                existing.goal = existing.goal || course.goal;
+                existing.playback = existing.playback || course.playback;
+                existing.tags = [...new Set([...existing.tags, ...(course.tags || [])])].sort((a, b) => a.localeCompare(b));
+            } else {
+                this.courseLibrary.set(course.id, this.deserializeCourse(course));
+            }
+
+            // Completed lessons and watched ranges are combined, the rest is recomputed on next open
+            const backupProgress = backup.progress[course.id];
+            if (backupProgress) {
+                const localProgress = this.getProgressData(course.id);
+                this.setProgressData(course.id, localProgress ? {
+                    ...backupProgress,
+                    ...localProgress,
+                    completedLessons: [...new Set([...(localProgress.completedLessons || []), ...backupProgress.completedLessons])],
+                    fingerprints: { ...backupProgress.fingerprints, ...localProgress.fingerprints },
+                    watchedIntervals: this.mergeWatchedIntervals(localProgress.watchedIntervals, backupProgress.watchedIntervals),
+                    completedDates: { ...backupProgress.completedDates, ...localProgress.completedDates }
+                } : backupProgress);
+            }
+
+            // The most recent session wins
+            const backupSession = backup.sessions[course.id];
+            if (backupSession) {
+                const localSession = this.loadLastSessionForCourse(course.id);
+                if (!localSession || (backupSession.timestamp || 0) > (localSession.timestamp || 0)) {
+                    this.setSessionData(course.id, backupSession);
+                }
+            }
+
+            // Local resume positions win over the backup
+            if (backup.videoProgress[course.id]) {
+                this.videoProgress[course.id] = {
+                    ...backup.videoProgress[course.id],
+                    ...this.videoProgress[course.id]
+                };
+                this.saveVideoProgress(course.id);
+            }
+        }
+    }
+
+    mergeWatchedIntervals(local = {}, imported = {}) {
+        const merged = { ...local };
+        for (const [lessonId, intervals] of Object.entries(imported)) {
+            merged[lessonId] = this.mergeIntervals([...(merged[lessonId] || []), ...intervals]);
+        }
+        return merged;
+    }
+
+    async replaceWithBackupData(backup) {
+        const importedIds = new Set(backup.library.map(course => course.id));
+
+        // Remove everything that belongs to the current library
+        for (const courseId of this.courseLibrary.keys()) {
+            this.deleteProgressData(courseId);
+            this.deleteSessionData(courseId);
+            delete this.videoProgress[courseId];
+            this.saveVideoProgress(courseId);
+            if (!importedIds.has(courseId)) {
+                await this.courseDB.deleteHandle(courseId);
+                await this.courseDB.deleteThumbnail(courseId);
+                await this.courseDB.deleteAllByIndex('storyboards', 'courseId', courseId);
+                for (const storeName of COURSE_RECORD_STORES) {
+                    await this.courseDB.deleteAllByIndex(storeName, 'courseId', courseId);
+                }
+            }
+        }
+        for (const key of [...BACKUP_PREFERENCE_KEYS, 'last_course_id', 'last_viewed_course']) {
+            this.removePreference(key);
+        }
+
+        this.courseLibrary.clear();
+        for (const course of backup.library) {
+            this.courseLibrary.set(course.id, this.deserializeCourse(course));
+        }
+        for (const [courseId, progressData] of Object.entries(backup.progress)) {
+            this.setProgressData(courseId, progressData);
+        }
+        for (const [courseId, sessionData] of Object.entries(backup.sessions)) {
+            this.setSessionData(courseId, sessionData);
+        }
+        for (const [courseId, positions] of Object.entries(backup.videoProgress)) {
+            this.videoProgress[courseId] = positions;
+            this.saveVideoProgress(courseId);
+        }
+        // Only user preferences are restored, internal state (migration flags...) stays as it is here
+        for (const key of BACKUP_PREFERENCE_KEYS) {
+            if (key in backup.preferences) {
+                this.setPreference(key, this.normalizePreference(key, backup.preferences[key]));
+            }
+        }
+    }
+
+    async importBackupRecords(backup, merge) {
+        const courseIds = backup.library.map(course => course.id);
+
+        for (const storeName of COURSE_RECORD_STORES) {
+            const imported = (backup.records && backup.records[storeName]) || [];
+            const existingKeys = new Set();
+
+            for (const courseId of courseIds) {
+                if (merge) {
+                    // Skip records that are already here, compared without their local id
+                    const existing = await this.courseDB.getAllByIndex(storeName, 'courseId', courseId);
+                    existing.forEach(({ id, ...record }) => existingKeys.add(JSON.stringify(record)));
+                } else {
+                    await this.courseDB.deleteAllByIndex(storeName, 'courseId', courseId);
+                }
+            }
+
+            for (const { id, ...record } of imported) {
+                if (!courseIds.includes(record.courseId) || existingKeys.has(JSON.stringify(record))) continue;
+                await this.courseDB.put(storeName, record);
+            }
+        }
+    }
+
+    async relinkMissingFolders() {
+        const linkedIds = new Set(await this.courseDB.getAllHandles());
+        const unlinked = Array.from(this.courseLibrary.entries()).filter(([courseId]) => !linkedIds.has(courseId));
+        if (unlinked.length === 0 || !('showDirectoryPicker' in window)) return;
+
+        const relinkNow = await this.showModal(
+            `${unlinked.length} course(s) are not linked to a folder on this device. Re-link them now?\n\nYou can also do it later by opening each course.`,
+            'Re-link Folders',
+            true,
+            { confirmText: 'RE-LINK', cancelText: 'LATER' }
+        );
+        if (!relinkNow) return;
+
+        for (const [courseId, courseData] of unlinked) {
+            const proceed = await this.showModal(
+                `Please select the course folder:\n"${courseData.name}"`,
+                'Select Course Folder',
+                true,
+                { confirmText: 'SELECT', cancelText: 'SKIP' }
+            );
+            if (!proceed) continue;
+
+            try {
+                const handle = await window.showDirectoryPicker();
+                if (handle.name !== courseData.name) {
+                    await this.showModal(
+                        `The selected folder "${handle.name}" does not match the course:\n"${courseData.name}"\n\nYou can link it later by opening the course.`,
+                        'Wrong Folder'
+                    );
+                    continue;
+                }
+                await this.courseDB.saveHandle(courseId, handle);
+                courseData.handle = handle;
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    console.error('Error re-linking folder:', error);
+                }
+            }
         }
     }
 
     // Storage Management
+    async loadPersistentState() {
+        const [library, progress, sessions, videoProgress, preferences] = await Promise.all([
+            this.courseDB.getAll('library'),
+            this.courseDB.getAll('progress'),
+            this.courseDB.getAll('sessions'),
+            this.courseDB.getAll('videoProgress'),
+            this.courseDB.getAll('preferences')
+        ]);
+
+        // Reconstruct the courseLibrary Map with metadata
+        // Directory handles will be null and re-requested when needed
+        for (const course of library) {
+            this.courseLibrary.set(course.id, this.deserializeCourse(course));
+        }
+        this.persistedCourseIds = new Set(this.courseLibrary.keys());
+
+        for (const { courseId, ...data } of progress) {
+            this.progressData.set(courseId, data);
+        }
+        for (const { courseId, ...data } of sessions) {
+            this.sessionData.set(courseId, data);
+        }
+        for (const { courseId, positions } of videoProgress) {
+            this.videoProgress[courseId] = positions;
+        }
+        for (const { key, value } of preferences) {
+            this.preferences.set(key, value);
+        }
+    }
+
+    async importLocalStorageData() {
+        // One-time import of the state that used to live in localStorage
+        if (await this.courseDB.get('preferences', 'local_storage_imported')) return;
+
+        const readJSON = (key) => {
+            try {
+                const value = localStorage.getItem(key);
+                return value === null ? null : JSON.parse(value);
+            } catch (error) {
+                console.error('Skipping unreadable localStorage entry', key, error);
+                return null;
+            }
+        };
+
+        const importedKeys = [];
+        const importKey = (key, storeName, record) => {
+            this.courseDB.queueWrite(storeName, key, record);
+            importedKeys.push(key);
+        };
+
+        for (const course of readJSON('course_library') || []) {
+            this.courseDB.queueWrite('library', course.id, course);
+        }
+        importedKeys.push('course_library');
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith('course_progress_')) {
+                const courseId = key.slice('course_progress_'.length);
+                const data = readJSON(key);
+                if (data) importKey(key, 'progress', { ...data, courseId });
+            } else if (key.startsWith('last_session_')) {
+                const courseId = key.slice('last_session_'.length);
+                const data = readJSON(key);
+                if (data) importKey(key, 'sessions', { ...data, courseId });
+            }
+        }
+
+        for (const [courseId, positions] of Object.entries(readJSON('video_progress') || {})) {
+            this.courseDB.queueWrite('videoProgress', courseId, { courseId, positions });
+        }
+        importedKeys.push('video_progress');
+
+        for (const key of [...BACKUP_PREFERENCE_KEYS, 'last_course_id', 'last_viewed_course', 'course_id_scheme']) {
+            const value = localStorage.getItem(key);
+            if (value !== null) {
+                importKey(key, 'preferences', { key, value: this.normalizePreference(key, value) });
+            }
+        }
+
+        this.courseDB.queueWrite('preferences', 'local_storage_imported', { key: 'local_storage_imported', value: true });
+        await this.courseDB.flush();
+
+        // Only clear localStorage once the data is safely in IndexedDB
+        importedKeys.forEach(key => localStorage.removeItem(key));
+    }
+
+    normalizePreference(key, value) {
+        // localStorage (and version 1 backups made from it) stored every value as a string
+        if (typeof value !== 'string') return value;
+        if (key === 'captions_enabled') return value === 'true';
+        if (key === 'sidebar_width') return parseInt(value);
+        return value;
+    }
+
+    getPreference(key, defaultValue) {
+        return this.preferences.has(key) ? this.preferences.get(key) : defaultValue;
+    }
+
+    setPreference(key, value) {
+        this.preferences.set(key, value);
+        this.courseDB.queueWrite('preferences', key, { key, value });
+    }
+
+    removePreference(key) {
+        this.preferences.delete(key);
+        this.courseDB.queueWrite('preferences', key, undefined);
+    }
+
+    getProgressData(courseId) {
+        return this.progressData.get(courseId) || null;
+    }
+
+    setProgressData(courseId, data) {
+        this.progressData.set(courseId, data);
+        this.courseDB.queueWrite('progress', courseId, { ...data, courseId });
+    }
+
+    deleteProgressData(courseId) {
+        this.progressData.delete(courseId);
+        this.courseDB.queueWrite('progress', courseId, undefined);
+    }
+
+    setSessionData(courseId, data) {
+        this.sessionData.set(courseId, data);
+        this.courseDB.queueWrite('sessions', courseId, { ...data, courseId });
+    }
+
+    deleteSessionData(courseId) {
+        this.sessionData.delete(courseId);
+        this.courseDB.queueWrite('sessions', courseId, undefined);
+    }
+
+    serializeCourseLibrary() {
+        // Store only serializable data, directory handles live in their own store
+        return Array.from(this.courseLibrary.entries()).map(([id, data]) => ({
+            id,
+            name: data.name,
+            title: data.title,
+            description: data.description,
+            author: data.author,
+            tags: data.tags,
+            addedDate: data.addedDate,
+            lastAccessed: data.lastAccessed,
+            goal: data.goal,
+            playback: data.playback
+        }));
+    }
+
+    deserializeCourse(course) {
+        return {
+            name: course.name,
+            title: course.title || null,
+            description: course.description || null,
+            author: course.author || null,
+            tags: Array.isArray(course.tags) ? course.tags : [],
+            handle: null, // Will be re-requested
+            addedDate: course.addedDate,
+            lastAccessed: course.lastAccessed,
+            goal: course.goal,
+            playback: course.playback
+        };
+    }
+
     saveCourseLibrary() {
-        // Store only serializable data, directory handles will be re-requested
-        const libraryData = [];
-
-        for (const [id, data] of this.courseLibrary.entries()) {
-            libraryData.push({
-                id,
-                name: data.name,
-                addedDate: data.addedDate,
-                lastAccessed: data.lastAccessed
-            });
+        const courses = this.serializeCourseLibrary();
+        for (const course of courses) {
+            this.courseDB.queueWrite('library', course.id, course);
         }
 
-        localStorage.setItem('course_library', JSON.stringify(libraryData));
+        // Drop entries that were removed from the library since the last save
+        for (const courseId of this.persistedCourseIds) {
+            if (!this.courseLibrary.has(courseId)) {
+                this.courseDB.queueWrite('library', courseId, undefined);
+            }
+        }
+        this.persistedCourseIds = new Set(this.courseLibrary.keys());
     }
 
-    loadCourseLibrary() {
-        const libraryData = localStorage.getItem('course_library');
-        if (!libraryData) return;
+    async migrateCourseIds() {
+        // One-time migration from name-derived course ids to random ids
+        if (this.getPreference('course_id_scheme', null) === 'random') return;
 
-        try {
-            const courses = JSON.parse(libraryData);
-
-            // Reconstruct the courseLibrary Map with metadata
-            // Directory handles will be null and re-requested when needed
-            for (const course of courses) {
-                this.courseLibrary.set(course.id, {
-                    name: course.name,
-                    handle: null, // Will be re-requested
-                    addedDate: course.addedDate,
-                    lastAccessed: course.lastAccessed
-                });
+        const migratedLibrary = new Map();
+        const idMap = new Map();
+
+        for (const [oldId, courseData] of this.courseLibrary.entries()) {
+            const newId = this.generateCourseId();
+            idMap.set(oldId, newId);
+            migratedLibrary.set(newId, courseData);
+
+            const progressData = this.getProgressData(oldId);
+            if (progressData) {
+                this.setProgressData(newId, progressData);
+                this.deleteProgressData(oldId);
+            }
+
+            const sessionData = this.loadLastSessionForCourse(oldId);
+            if (sessionData) {
+                this.setSessionData(newId, sessionData);
+                this.deleteSessionData(oldId);
+            }
+
+            if (this.videoProgress[oldId]) {
+                this.videoProgress[newId] = this.videoProgress[oldId];
+                delete this.videoProgress[oldId];
+                this.saveVideoProgress(newId);
+                this.saveVideoProgress(oldId);
+            }
+
+            try {
+                const handle = await this.courseDB.getHandle(oldId);
+                if (handle) {
+                    await this.courseDB.saveHandle(newId, handle);
+                    await this.courseDB.deleteHandle(oldId);
+                }
+            } catch (error) {
+                console.error('Error migrating directory handle for', courseData.name, error);
             }
-        } catch (error) {
-            console.error('Error loading course library:', error);
         }
+
+        for (const key of ['last_course_id', 'last_viewed_course']) {
+            const oldId = this.getPreference(key, null);
+            if (oldId !== null && idMap.has(oldId)) {
+                this.setPreference(key, idMap.get(oldId));
+            }
+        }
+
+        this.courseLibrary = migratedLibrary;
+        this.saveCourseLibrary();
+        this.setPreference('course_id_scheme', 'random');
     }
 
     saveCourseProgress(courseId) {
         const totalLessons = this.courseStructure.reduce((sum, section) =>
             sum + section.lessons.length, 0);
-        const completedCount = this.completedLessons.size;
+        const completedCount = this.getCompletedCount();
         const percentage = totalLessons > 0 ? Math.round((completedCount / totalLessons) * 100) : 0;
         const totalDuration = this.courseStructure.reduce((sum, section) =>
             sum + section.duration, 0);
 
+        // Time still to watch, partly watched lessons only count their unwatched share
+        let remainingDuration = 0;
+        for (const section of this.courseStructure) {
+            for (const lesson of section.lessons) {
+                if (!this.completedLessons.has(lesson.id) && lesson.duration) {
+                    remainingDuration += lesson.duration * (1 - this.getWatchedShare(lesson.id, lesson.duration));
+                }
+            }
+        }
+
+        // Fingerprints let progress follow a lesson whose file was moved or renamed
+        const fingerprints = {};
+        for (const section of this.courseStructure) {
+            for (const lesson of section.lessons) {
+                if (lesson.fingerprint) {
+                    fingerprints[lesson.id] = lesson.fingerprint;
+                }
+            }
+        }
+
         const progressData = {
             courseName: this.courseName,
+            lessonIdScheme: 'path',
             completedLessons: Array.from(this.completedLessons),
             completedCount,
             totalLessons,
             percentage,
-            totalDuration
+            totalDuration,
+            remainingDuration: totalDuration > 0 ? Math.round(remainingDuration) : null,
+            fingerprints,
+            watchedIntervals: this.watchedIntervals,
+            completedDates: this.completedDates,
+            newLessons: Array.from(this.newLessons)
         };
-        localStorage.setItem(`course_progress_${courseId}`, JSON.stringify(progressData));
+        this.setProgressData(courseId, progressData);
     }
 
     loadCourseProgress(courseId) {
-        const savedData = localStorage.getItem(`course_progress_${courseId}`);
-        if (savedData) {
-            const progressData = JSON.parse(savedData);
+        const progressData = this.getProgressData(courseId);
+        if (progressData) {
             this.completedLessons = new Set(progressData.completedLessons || []);
+            this.watchedIntervals = progressData.watchedIntervals || {};
+            this.completedDates = progressData.completedDates || {};
+            this.newLessons = new Set(progressData.newLessons || []);
         } else {
             this.completedLessons = new Set();
+            this.watchedIntervals = {};
+            this.completedDates = {};
+            this.newLessons = new Set();
+        }
+    }
+
+    async migrateLessonIds(courseId) {
+        // One-time migration from positional "section-lesson" ids to path ids
+        const progressData = this.getProgressData(courseId);
+        if (progressData && progressData.lessonIdScheme === 'path') return;
+
+        // Positional ids were given by the original parser: top-level folders in name order with no
+        // root section, and only .mp4 lessons in lesson number order, ignoring any manifest
+        const legacySections = this.courseStructure
+            .filter(section => section.rawName && section.groups.length === 0)
+            .sort((a, b) => this.naturalSort(a.rawName, b.rawName))
+            .map(section => section.lessons
+                .filter(lesson => this.getMediaFile(lesson).name.toLowerCase().endsWith('.mp4'))
+                .sort((a, b) => this.naturalSort(a.number, b.number)))
+            .filter(lessons => lessons.length > 0);
+
+        const idMap = new Map();
+        legacySections.forEach((lessons, sectionIndex) => {
+            lessons.forEach((lesson, lessonIndex) => {
+                idMap.set(`${sectionIndex}-${lessonIndex}`, lesson.id);
+            });
+        });
+
+        const session = this.loadLastSessionForCourse(courseId);
+        if (session && session.lessonId === undefined && session.sectionIndex !== undefined) {
+            const { sectionIndex, lessonIndex, ...rest } = session;
+            this.setSessionData(courseId, { ...rest, lessonId: `${sectionIndex}-${lessonIndex}` });
+        }
+
+        await this.applyLessonIdMap(courseId, idMap);
+
+        if (progressData) {
+            this.setProgressData(courseId, { ...this.getProgressData(courseId), lessonIdScheme: 'path' });
+        }
+    }
+
+    async reconcileMovedLessons(courseId) {
+        // Follow lessons whose file moved or was renamed by matching size and last modified date
+        const progressData = this.getProgressData(courseId);
+        if (!progressData) return new Map();
+
+        const { fingerprints = {} } = progressData;
+        const currentLessons = this.courseStructure.flatMap(section => section.lessons);
+        const currentIds = new Set(currentLessons.map(lesson => lesson.id));
+        const fingerprintKey = (fp) => `${fp.size}:${fp.lastModified}`;
+
+        const lessonsByFingerprint = new Map();
+        for (const lesson of currentLessons) {
+            if (lesson.fingerprint && !(lesson.id in fingerprints)) {
+                lessonsByFingerprint.set(fingerprintKey(lesson.fingerprint), lesson.id);
+            }
+        }
+
+        const idMap = new Map();
+        for (const [oldId, fingerprint] of Object.entries(fingerprints)) {
+            if (currentIds.has(oldId)) continue;
+            const newId = lessonsByFingerprint.get(fingerprintKey(fingerprint));
+            if (newId) {
+                idMap.set(oldId, newId);
+            }
+        }
+
+        if (idMap.size > 0) {
+            await this.applyLessonIdMap(courseId, idMap);
+        }
+        return idMap;
+    }
+
+    async detectLessonChanges(courseId) {
+        // Compare the parsed lessons with the fingerprints saved when the course was last opened
+        const snapshot = (this.getProgressData(courseId) || {}).fingerprints || {};
+        const renamed = await this.reconcileMovedLessons(courseId);
+
+        const currentLessons = this.courseStructure.flatMap(section => section.lessons);
+        const currentIds = new Set(currentLessons.map(lesson => lesson.id));
+        const previousIds = new Set(Object.keys(snapshot).map(id => renamed.get(id) || id));
+
+        // Without a snapshot (first open, or progress saved before fingerprints) nothing counts as new
+        const added = previousIds.size > 0 ? currentLessons.filter(lesson => !previousIds.has(lesson.id)) : [];
+        const removed = Object.keys(snapshot).filter(id => !renamed.has(id) && !currentIds.has(id));
+
+        // New lessons keep their badge until they are opened
+        const progressData = this.getProgressData(courseId);
+        if (progressData) {
+            const newLessons = new Set([...(progressData.newLessons || []), ...added.map(lesson => lesson.id)]);
+            this.setProgressData(courseId, {
+                ...progressData,
+                newLessons: [...newLessons].filter(id => currentIds.has(id))
+            });
+        }
+
+        return { added, removed, renamed };
+    }
+
+    formatLessonChanges({ added, removed, renamed }) {
+        const list = (names) => [
+            ...names.slice(0, RESCAN_MAX_LISTED).map(name => `• ${name}`),
+            ...(names.length > RESCAN_MAX_LISTED ? [`…and ${names.length - RESCAN_MAX_LISTED} more`] : [])
+        ].join('\n');
+
+        // Removed and renamed lessons are only known by their old path
+        const oldName = (lessonId) => this.cleanLessonName(lessonId.split('/').pop());
+        const lessonName = (lessonId) => {
+            const location = this.findLessonById(lessonId);
+            return location ? this.courseStructure[location.sectionIndex].lessons[location.lessonIndex].name : oldName(lessonId);
+        };
+
+        const parts = [];
+        if (added.length > 0) {
+            parts.push(`${added.length} new lesson(s):\n${list(added.map(lesson => lesson.name))}`);
+        }
+        if (removed.length > 0) {
+            parts.push(`${removed.length} lesson(s) no longer in the folder:\n${list(removed.map(oldName))}`);
+        }
+        if (renamed.size > 0) {
+            parts.push(`${renamed.size} renamed or moved lesson(s), progress, notes, bookmarks and loops kept:\n${list(
+                [...renamed].map(([oldId, newId]) => `${oldName(oldId)} → ${lessonName(newId)}`))}`);
+        }
+
+        return parts.length > 0
+            ? parts.join('\n\n')
+            : 'No lessons were added, removed or renamed since the course was last opened.';
+    }
+
+    async applyLessonIdMap(courseId, idMap) {
+        if (idMap.size === 0) return;
+        const mapId = (id) => idMap.has(id) ? idMap.get(id) : id;
+
+        // Re-key the per-lesson maps of the progress record
+        const mapKeys = (byLessonId = {}) => Object.fromEntries(
+            Object.entries(byLessonId).map(([id, value]) => [mapId(id), value]));
+
+        const progressData = this.getProgressData(courseId);
+        if (progressData) {
+            this.setProgressData(courseId, {
+                ...progressData,
+                completedLessons: [...new Set((progressData.completedLessons || []).map(mapId))],
+                fingerprints: mapKeys(progressData.fingerprints),
+                watchedIntervals: mapKeys(progressData.watchedIntervals),
+                completedDates: mapKeys(progressData.completedDates),
+                newLessons: (progressData.newLessons || []).map(mapId)
+            });
+        }
+
+        if (this.videoProgress[courseId]) {
+            const positions = {};
+            for (const [id, time] of Object.entries(this.videoProgress[courseId])) {
+                positions[mapId(id)] = time;
+            }
+            this.videoProgress[courseId] = positions;
+            this.saveVideoProgress(courseId);
+        }
+
+        const session = this.loadLastSessionForCourse(courseId);
+        if (session) {
+            this.setSessionData(courseId, { ...session, lessonId: mapId(session.lessonId) });
+        }
+
+        // Notes, bookmarks and the other course records follow their lesson too
+        for (const storeName of COURSE_RECORD_STORES) {
+            try {
+                await this.courseDB.updateAllByIndex(storeName, 'courseId', courseId, record =>
+                    idMap.has(record.lessonId) ? { ...record, lessonId: idMap.get(record.lessonId) } : null);
+            } catch (error) {
+                console.error(`Error updating lesson ids in ${storeName}:`, error);
+            }
+        }
+        if (courseId === this.currentCourseId) {
+            await this.loadCourseRecords(courseId);
         }
     }
 
@@ -1516,17 +6535,16 @@ class CourseViewer {
         const lesson = this.courseStructure[sectionIndex].lessons[lessonIndex];
 
         const sessionData = {
-            sectionIndex,
-            lessonIndex,
+            lessonId: lesson.id,
             lessonName: lesson.name,
             timestamp: Date.now()
         };
-        localStorage.setItem(`last_session_${this.currentCourseId}`, JSON.stringify(sessionData));
-        localStorage.setItem('last_course_id', this.currentCourseId);
+        this.setSessionData(this.currentCourseId, sessionData);
+        this.setPreference('last_course_id', this.currentCourseId);
     }
 
     async loadLastSession() {
-        const lastCourseId = localStorage.getItem('last_course_id');
+        const lastCourseId = this.getPreference('last_course_id', null);
         if (!lastCourseId) {
             // No last course, show homepage
             this.renderHomepage();
@@ -1552,25 +6570,15 @@ class CourseViewer {
     }
 
     loadLastSessionForCourse(courseId) {
-        const sessionData = localStorage.getItem(`last_session_${courseId}`);
-        if (!sessionData) return null;
-        return JSON.parse(sessionData);
+        return this.sessionData.get(courseId) || null;
     }
 
-    saveVideoProgress() {
-        localStorage.setItem('video_progress', JSON.stringify(this.videoProgress));
-    }
-
-    loadVideoProgress() {
-        const savedProgress = localStorage.getItem('video_progress');
-        if (savedProgress) {
-            this.videoProgress = JSON.parse(savedProgress);
-        }
+    saveVideoProgress(courseId) {
+        // Queued, so frequent timeupdate saves collapse into one write per flush
+        const positions = this.videoProgress[courseId];
+        this.courseDB.queueWrite('videoProgress', courseId, positions ? { courseId, positions } : undefined);
     }
 }
 
 // Initialize the app
 const courseViewer = new CourseViewer();
-
-// Load video progress on init
-courseViewer.loadVideoProgress();